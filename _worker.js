@@ -0,0 +1,33 @@
+// _worker.js
+// Cloudflare Worker / Pages advanced-mode entry point (bundled by `npm run CFBuild`).
+// /api/* is answered by the shared handlers from functions/api (via lib/router.js);
+// everything else is served from the static assets binding when there is one.
+// Settings such as MAX_UPLOAD_BYTES or RESULTS_STORE are read from the Worker's `env`.
+import { handleApiRequest } from './lib/router.js';
+import { setConfigVars } from './lib/config.js';
+import { setResultStore } from './lib/resultStore.js';
+
+// Hook for result collection (/api/results). Return an adapter with add() and list() (see
+// lib/resultStore.js), e.g. one backed by a KV namespace or D1 database from `env`, to make
+// submissions durable. Returning undefined keeps the default: RESULTS_STORE=memory keeps
+// them per isolate, and otherwise collection is off.
+const createResultStore = (/* env */) => undefined;
+
+let configured = false;
+
+const worker = {
+    async fetch(request, env) {
+        if (!configured) {
+            setConfigVars(env);
+            const store = createResultStore(env);
+            if (store !== undefined) setResultStore(store);
+            configured = true;
+        }
+        const response = await handleApiRequest(request);
+        if (response) return response;
+        if (env && env.ASSETS) return env.ASSETS.fetch(request);
+        return new Response('Not found', { status: 404 });
+    },
+};
+
+export default worker;
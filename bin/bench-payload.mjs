@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Generation throughput of each /api/download payload mode, measured twice: the raw byte
+// source from lib/payload.js, and the full handler response read to the end in-process.
+//
+//   bench-payload [--mb N] [--mode random,seeded,...]
+import { parseArgs } from 'node:util';
+import { PAYLOAD_MODES, PAYLOAD_CHUNK_BYTES, createPayloadSource } from '../lib/payload.js';
+import handler from '../functions/api/download.js';
+
+const MB = 1024 * 1024;
+
+function benchSource(mode, bytes) {
+    const read = createPayloadSource(mode, 42);
+    read(0, 1); // Exclude one-off setup such as filling the random pool
+    const start = performance.now();
+    for (let offset = 0; offset < bytes; offset += PAYLOAD_CHUNK_BYTES) {
+        read(offset, Math.min(PAYLOAD_CHUNK_BYTES, bytes - offset));
+    }
+    return performance.now() - start;
+}
+
+async function benchHandler(mode, bytes) {
+    const start = performance.now();
+    const response = await handler(new Request(`http://localhost/api/download?size=${bytes}&mode=${mode}&seed=42`));
+    if (!response.ok) throw new Error(`${mode}: handler returned ${response.status}`);
+    let received = 0;
+    for await (const chunk of response.body) received += chunk.length;
+    if (received !== bytes) throw new Error(`${mode}: expected ${bytes} bytes, got ${received}`);
+    return performance.now() - start;
+}
+
+const rate = (bytes, ms) => `${((bytes / MB) / (ms / 1000)).toFixed(0)} MB/s`;
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            mb: { type: 'string', default: '256' },
+            mode: { type: 'string', default: PAYLOAD_MODES.join(',') },
+        },
+    });
+    const bytes = Number(values.mb) * MB;
+    if (!Number.isInteger(bytes) || bytes <= 0) throw new Error('--mb must be a positive whole number');
+    const modes = values.mode.split(',').map(m => m.trim()).filter(Boolean);
+    const unknown = modes.filter(m => !PAYLOAD_MODES.includes(m));
+    if (unknown.length > 0) throw new Error(`Unknown mode(s): ${unknown.join(', ')}`);
+
+    const rows = [['Mode', 'Source', 'Handler']];
+    for (const mode of modes) {
+        rows.push([mode, rate(bytes, benchSource(mode, bytes)), rate(bytes, await benchHandler(mode, bytes))]);
+    }
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    process.stdout.write(`${values.mb}MB per mode\n`);
+    process.stdout.write(`${rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n')}\n`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    process.stderr.write(`bench-payload: ${error.message}\n`);
+    process.exitCode = 1;
+});
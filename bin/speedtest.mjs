@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Headless speed test runner. Drives the same /api/ping, /api/download and /api/upload
+// endpoints as the page, using the shared engine in lib/measure.js.
+//
+//   speedtest [--servers registry.json|URL] [--only name,...] [--json] [--sweep | --best N]
+//             [--streams N | --single] [--duration S] [--ping-count N] [--ping-timeout MS] [--timeout MS]
+//             [--max-ping MS] [--min-download MBPS] [--min-upload MBPS]
+//
+// Exit codes: 0 all servers passed, 1 a server failed or missed a threshold, 2 usage or registry error.
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { SERVER_REGISTRY, parseRegistry } from '../lib/servers.js';
+import { testServer, DEFAULT_TEST_OPTIONS } from '../lib/measure.js';
+import { sweepLatency, closestServers } from '../lib/sweep.js';
+
+const USAGE = `Usage: speedtest [options]
+
+  --servers <file|url>     Server registry JSON (default: bundled registry)
+  --only <names>           Comma separated server names to test (default: all)
+  --json                   Print results as JSON instead of a table
+  --sweep                  Only ping every server in parallel and list them by latency
+  --best <n>               Sweep latency first, then fully test the n closest servers
+  --streams <n>            Parallel connections per transfer (default: per-server capability)
+  --single                 Use a single connection per transfer
+  --duration <seconds>     Download/upload phase length (default: ${DEFAULT_TEST_OPTIONS.testDurationMs / 1000})
+  --ping-count <n>         Ping samples per server (default: ${DEFAULT_TEST_OPTIONS.pingCount})
+  --ping-timeout <ms>      Ping timeout (default: ${DEFAULT_TEST_OPTIONS.pingTimeoutMs})
+  --timeout <ms>           Warm-up, response and stalled transfer timeout (default: ${DEFAULT_TEST_OPTIONS.requestTimeoutMs})
+  --max-ping <ms>          Fail if average ping is higher
+  --min-download <mbps>    Fail if download is lower
+  --min-upload <mbps>      Fail if upload is lower (servers with upload disabled are skipped)
+  --quiet                  Do not print progress to stderr
+  --help                   Show this help
+`;
+
+class UsageError extends Error {}
+
+const positiveNumber = (name, value) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new UsageError(`--${name} must be a positive number`);
+    return number;
+};
+
+const positiveInteger = (name, value) => {
+    const number = positiveNumber(name, value);
+    if (number !== undefined && !Number.isInteger(number)) throw new UsageError(`--${name} must be a whole number`);
+    return number;
+};
+
+async function loadServers(source) {
+    if (!source) return parseRegistry(SERVER_REGISTRY);
+    let doc;
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`Could not fetch ${source}: ${response.status} ${response.statusText}`);
+        doc = await response.json();
+    } else {
+        doc = JSON.parse(await readFile(source, 'utf8'));
+    }
+    return parseRegistry(doc);
+}
+
+// Returns the threshold violations for one result (an errored server always fails).
+function checkThresholds(result, thresholds) {
+    const failures = [];
+    if (result.status === 'error') failures.push(`error (${Object.entries(result.errors || {}).map(([phase, message]) => `${phase}: ${message}`).join('; ')})`);
+    const ping = parseFloat(result.ping);
+    const download = parseFloat(result.download);
+    const upload = parseFloat(result.upload);
+    if (thresholds.maxPing !== undefined && Number.isFinite(ping) && ping > thresholds.maxPing) failures.push(`ping ${ping}ms > ${thresholds.maxPing}ms`);
+    if (thresholds.minDownload !== undefined && Number.isFinite(download) && download < thresholds.minDownload) failures.push(`download ${download}Mbps < ${thresholds.minDownload}Mbps`);
+    if (thresholds.minUpload !== undefined && Number.isFinite(upload) && upload < thresholds.minUpload) failures.push(`upload ${upload}Mbps < ${thresholds.minUpload}Mbps`);
+    if (result.uploadStats?.server?.truncatedChunks > 0) failures.push(`${result.uploadStats.server.truncatedChunks} upload chunk(s) truncated`);
+    return failures;
+}
+
+// A sweep only measures latency, so only --max-ping applies; an unreachable server always fails.
+function checkSweepThresholds({ stats, error }, thresholds) {
+    if (!stats || stats.received === 0) return [`unreachable (${error ? error.message : 'no ping replies'})`];
+    return checkThresholds({ ping: stats.avg.toFixed(1) }, { maxPing: thresholds.maxPing });
+}
+
+function formatTable(results) {
+    const rows = [['Server', 'Colo', 'Ping', 'Jitter', 'Loss', 'Download', 'Upload', 'Upload (server)', 'Bloat', 'Result']];
+    results.forEach(r => {
+        const unit = (value, suffix) => (Number.isFinite(parseFloat(value)) ? `${value} ${suffix}` : String(value));
+        rows.push([
+            r.name,
+            r.meta?.colo || '--',
+            unit(r.ping, 'ms'),
+            r.pingStats ? `${r.pingStats.jitter.toFixed(1)} ms` : '--',
+            r.pingStats ? `${Math.round(r.pingStats.lossPct)}%` : '--',
+            unit(r.download, 'Mbps'),
+            unit(r.upload, 'Mbps'),
+            r.uploadStats?.server ? `${r.uploadStats.server.mbps.toFixed(2)} Mbps${r.uploadStats.server.truncatedChunks > 0 ? ` (${r.uploadStats.server.truncatedChunks} truncated)` : ''}` : '--',
+            r.responsiveness ? r.responsiveness.grade : '--',
+            r.failures.length === 0 ? 'PASS' : `FAIL: ${r.failures.join(', ')}`,
+        ]);
+    });
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    return rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n');
+}
+
+function formatSweepTable(entries) {
+    const rows = [['Server', 'Ping', 'Min', 'Jitter', 'Loss', 'Result']];
+    entries.forEach(e => {
+        const reachable = e.pingStats && e.pingStats.received > 0;
+        rows.push([
+            e.name,
+            reachable ? `${e.pingStats.avg.toFixed(1)} ms` : 'ERR',
+            reachable ? `${e.pingStats.min.toFixed(1)} ms` : '--',
+            reachable ? `${e.pingStats.jitter.toFixed(1)} ms` : '--',
+            e.pingStats ? `${Math.round(e.pingStats.lossPct)}%` : '--',
+            e.failures.length === 0 ? 'PASS' : `FAIL: ${e.failures.join(', ')}`,
+        ]);
+    });
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    return rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n');
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            servers: { type: 'string' },
+            only: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            sweep: { type: 'boolean', default: false },
+            best: { type: 'string' },
+            streams: { type: 'string' },
+            single: { type: 'boolean', default: false },
+            duration: { type: 'string' },
+            'ping-count': { type: 'string' },
+            'ping-timeout': { type: 'string' },
+            timeout: { type: 'string' },
+            'max-ping': { type: 'string' },
+            'min-download': { type: 'string' },
+            'min-upload': { type: 'string' },
+            quiet: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const streams = values.single ? 1 : positiveInteger('streams', values.streams);
+    const duration = positiveNumber('duration', values.duration);
+    const options = {
+        pingCount: positiveInteger('ping-count', values['ping-count']) ?? DEFAULT_TEST_OPTIONS.pingCount,
+        pingTimeoutMs: positiveInteger('ping-timeout', values['ping-timeout']) ?? DEFAULT_TEST_OPTIONS.pingTimeoutMs,
+        requestTimeoutMs: positiveInteger('timeout', values.timeout) ?? DEFAULT_TEST_OPTIONS.requestTimeoutMs,
+        testDurationMs: duration !== undefined ? duration * 1000 : DEFAULT_TEST_OPTIONS.testDurationMs,
+    };
+    const thresholds = {
+        maxPing: positiveNumber('max-ping', values['max-ping']),
+        minDownload: positiveNumber('min-download', values['min-download']),
+        minUpload: positiveNumber('min-upload', values['min-upload']),
+    };
+
+    let servers = await loadServers(values.servers);
+    if (values.only) {
+        const names = values.only.split(',').map(n => n.trim()).filter(Boolean);
+        const unknown = names.filter(n => !servers.some(s => s.name === n));
+        if (unknown.length > 0) throw new UsageError(`Unknown server(s): ${unknown.join(', ')}`);
+        servers = servers.filter(s => names.includes(s.name));
+    }
+
+    const log = values.quiet ? () => {} : (message) => process.stderr.write(`${message}\n`);
+    const startedAt = Date.now();
+
+    const best = positiveInteger('best', values.best);
+    if (values.sweep && best !== undefined) throw new UsageError('--sweep and --best cannot be combined');
+    if (values.sweep || best !== undefined) {
+        log(`Sweeping latency of ${servers.length} servers...`);
+        const sweep = await sweepLatency(servers, { pingTimeoutMs: options.pingTimeoutMs, requestTimeoutMs: options.requestTimeoutMs });
+        if (values.sweep) {
+            const entries = sweep.map(entry => ({ name: entry.server.name, pingStats: entry.stats, failures: checkSweepThresholds(entry, thresholds) }));
+            const passed = entries.every(e => e.failures.length === 0);
+            if (values.json) {
+                process.stdout.write(`${JSON.stringify({ startedAt, finishedAt: Date.now(), thresholds, passed, results: entries }, null, 2)}\n`);
+            } else {
+                process.stdout.write(`${formatSweepTable(entries)}\n`);
+            }
+            return passed ? 0 : 1;
+        }
+        servers = closestServers(sweep, best);
+        if (servers.length === 0) throw new Error('No server answered the latency sweep');
+        log(`Closest: ${servers.map(s => s.name).join(', ')}`);
+    }
+
+    const results = [];
+    for (const server of servers) {
+        const result = await testServer(server, { ...options, streams: streams ?? server.capabilities.streams }, {
+            onStatus: log,
+            onError: (phase, error) => log(`  ${phase} failed: ${error.message}`),
+        });
+        results.push({ ...result, failures: checkThresholds(result, thresholds) });
+    }
+    const passed = results.every(r => r.failures.length === 0);
+
+    if (values.json) {
+        process.stdout.write(`${JSON.stringify({ startedAt, finishedAt: Date.now(), options, thresholds, passed, servers, results }, null, 2)}\n`);
+    } else {
+        process.stdout.write(`${formatTable(results)}\n`);
+    }
+    return passed ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    process.stderr.write(`speedtest: ${error.message}\n`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        process.stderr.write(`\n${USAGE}`);
+    }
+    process.exitCode = 2;
+});
@@ -0,0 +1,57 @@
+import { RANKED_METRICS, SCORE_WEIGHT_RANGE } from '../lib/ranking';
+
+const RUNNERS_UP = 2;
+
+// Recommends the best host by weighted score, with the weights editable in place.
+// `ranking` is the output of scoreResults(), best first.
+export default function BestHostCard({ ranking, results, weights, onWeightsChange }) {
+    const [best, ...rest] = ranking;
+    const bestResult = best && results.find(r => r.name === best.name);
+
+    const setWeight = (key, raw) => {
+        const value = Math.min(SCORE_WEIGHT_RANGE.max, Math.max(SCORE_WEIGHT_RANGE.min, parseFloat(raw) || 0));
+        onWeightsChange({ ...weights, [key]: value });
+    };
+
+    return (
+        <div className="mb-3 rounded-xl bg-gradient-to-r from-emerald-900/40 to-slate-800/60 border border-emerald-700/40 p-3 text-sm">
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div className="min-w-0">
+                    <span className="text-xs font-bold tracking-wider text-emerald-300/80 uppercase">Best host</span>
+                    {best ? (
+                        <>
+                            <p className="font-semibold text-slate-100 text-lg truncate">{best.name} <span className="font-mono text-emerald-300 text-base">{best.score}/100</span></p>
+                            <p className="text-xs text-slate-400 font-mono">
+                                {bestResult.ping}ms · ↓ {bestResult.download} · ↑ {bestResult.upload} Mbps
+                            </p>
+                            {rest.length > 0 && (
+                                <p className="text-xs text-slate-500 mt-1 truncate">
+                                    Next: {rest.slice(0, RUNNERS_UP).map(r => `${r.name} (${r.score})`).join(', ')}
+                                </p>
+                            )}
+                        </>
+                    ) : (
+                        <p className="text-slate-400">Set at least one weight above 0 to rank hosts.</p>
+                    )}
+                </div>
+                <div className="flex gap-2 text-xs text-slate-400" title="How much each metric counts towards the score (0 ignores it)">
+                    {RANKED_METRICS.map(m => (
+                        <label key={m.key} className="flex flex-col items-center">
+                            {m.label}
+                            <input
+                                type="number"
+                                min={SCORE_WEIGHT_RANGE.min}
+                                max={SCORE_WEIGHT_RANGE.max}
+                                step={0.5}
+                                value={weights[m.key]}
+                                onChange={(e) => setWeight(m.key, e.target.value)}
+                                className="w-14 mt-1 rounded-md bg-slate-800/80 px-2 py-1 text-right text-slate-200"
+                                aria-label={`${m.label} weight`}
+                            />
+                        </label>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
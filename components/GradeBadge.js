@@ -0,0 +1,17 @@
+// Bufferbloat grade pill, coloured by grade (see gradeResponsiveness in lib/stats.js).
+export const GRADE_STYLES = {
+    'A+': 'bg-green-500/20 text-green-300',
+    'A': 'bg-green-500/20 text-green-300',
+    'B': 'bg-lime-500/20 text-lime-300',
+    'C': 'bg-amber-500/20 text-amber-300',
+    'D': 'bg-red-500/20 text-red-300',
+    'F': 'bg-red-500/20 text-red-300',
+};
+
+export default function GradeBadge({ grade, title, children }) {
+    return (
+        <span className={`inline-block mt-1 px-1.5 rounded text-[11px] font-bold ${GRADE_STYLES[grade]}`} title={title}>
+            {children ?? `Bufferbloat ${grade}`}
+        </span>
+    );
+}
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import LineChart from './LineChart';
+import { metricValue, seriesByServer } from '../lib/history';
+
+const METRICS = [
+    { key: 'ping', label: 'Ping', unit: 'ms', color: '#fbbf24', lowerIsBetter: true },
+    { key: 'download', label: 'Download', unit: 'Mbps', color: '#38bdf8', lowerIsBetter: false },
+    { key: 'upload', label: 'Upload', unit: 'Mbps', color: '#34d399', lowerIsBetter: false },
+];
+
+const formatTime = (t) => new Date(t).toLocaleString();
+
+// Side-by-side comparison of two runs with the change from the older to the newer one.
+const RunComparison = ({ runs }) => {
+    const [older, newer] = [...runs].sort((a, b) => a.finishedAt - b.finishedAt);
+    const names = [...new Set([...older.results, ...newer.results].map(r => r.name))];
+    const find = (run, name) => run.results.find(r => r.name === name);
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full text-xs md:text-sm">
+                <thead>
+                    <tr className="text-slate-400">
+                        <th className="text-left py-1 pr-2">Server</th>
+                        {METRICS.map(m => <th key={m.key} className="text-right py-1 px-2">{m.label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {names.map(name => (
+                        <tr key={name} className="border-t border-slate-700/60">
+                            <td className="py-1 pr-2 text-slate-200">{name}</td>
+                            {METRICS.map(m => {
+                                const a = metricValue(find(older, name), m.key);
+                                const b = metricValue(find(newer, name), m.key);
+                                const delta = a !== null && b !== null ? b - a : null;
+                                const improved = delta !== null && (m.lowerIsBetter ? delta < 0 : delta > 0);
+                                return (
+                                    <td key={m.key} className="py-1 px-2 text-right font-mono text-slate-300">
+                                        {a ?? '--'} → {b ?? '--'}
+                                        {delta !== null && delta !== 0 && (
+                                            <span className={`ml-1 ${improved ? 'text-green-400' : 'text-red-400'}`}>
+                                                ({delta > 0 ? '+' : ''}{delta.toFixed(m.key === 'ping' ? 0 : 2)})
+                                            </span>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default function HistoryPanel({ runs, onDeleteRun, onClearHistory }) {
+    const [metricKey, setMetricKey] = useState('download');
+    const [compareIds, setCompareIds] = useState([]);
+
+    const metric = METRICS.find(m => m.key === metricKey);
+    const series = seriesByServer(runs, metricKey);
+    const compareRuns = runs.filter(r => compareIds.includes(r.id));
+
+    // Keep at most two runs selected; selecting a third replaces the oldest selection.
+    const toggleCompare = (id) => {
+        setCompareIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2)));
+    };
+
+    if (runs.length === 0) {
+        return <p className="text-center text-slate-400 text-sm py-6">No saved runs yet. Completed test runs are stored in this browser.</p>;
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Per-server trend charts */}
+            <section>
+                <div className="flex justify-between items-center mb-3">
+                    <h3 className="font-bold text-slate-300 text-sm">Trends</h3>
+                    <div className="flex rounded-lg bg-slate-900/60 p-1 text-xs">
+                        {METRICS.map(m => (
+                            <button
+                                key={m.key}
+                                onClick={() => setMetricKey(m.key)}
+                                className={`px-2 py-1 rounded-md ${metricKey === m.key ? 'bg-sky-500 text-white' : 'text-slate-400 hover:text-slate-200'}`}
+                            >
+                                {m.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {Object.entries(series).map(([name, points]) => (
+                        <div key={name} className="bg-slate-900/50 rounded-lg p-2">
+                            <div className="text-xs font-semibold text-slate-300 truncate mb-1">{name}</div>
+                            <LineChart points={points} unit={metric.unit} color={metric.color} />
+                        </div>
+                    ))}
+                </div>
+            </section>
+
+            {/* Comparison of two selected runs */}
+            {compareRuns.length === 2 && (
+                <section>
+                    <h3 className="font-bold text-slate-300 text-sm mb-2">Comparison</h3>
+                    <RunComparison runs={compareRuns} />
+                </section>
+            )}
+
+            {/* Run list */}
+            <section>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-bold text-slate-300 text-sm">Runs ({runs.length})</h3>
+                    <button onClick={() => window.confirm('Delete all saved runs?') && onClearHistory()} className="text-xs text-red-400 hover:text-red-300">Clear all</button>
+                </div>
+                <p className="text-xs text-slate-500 mb-2">Select two runs to compare them.</p>
+                <ul className="space-y-1">
+                    {runs.map(run => {
+                        const completed = run.results.filter(r => r.status === 'complete').length;
+                        return (
+                            <li key={run.id} className="flex items-center gap-3 bg-slate-900/50 rounded-lg px-3 py-2 text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={compareIds.includes(run.id)}
+                                    onChange={() => toggleCompare(run.id)}
+                                    className="accent-sky-500"
+                                    aria-label={`Compare run from ${formatTime(run.finishedAt)}`}
+                                />
+                                <span className="text-slate-200">{formatTime(run.finishedAt)}</span>
+                                <span className="text-slate-500 text-xs">{completed}/{run.results.length} servers complete</span>
+                                <button
+                                    onClick={() => {
+                                        setCompareIds(prev => prev.filter(x => x !== run.id));
+                                        onDeleteRun(run.id);
+                                    }}
+                                    className="ml-auto text-xs text-slate-400 hover:text-red-400"
+                                >
+                                    Delete
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </section>
+        </div>
+    );
+}
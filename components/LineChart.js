@@ -0,0 +1,37 @@
+// Minimal dependency-free SVG line chart for small time series ({ t, value } points).
+const WIDTH = 300;
+const HEIGHT = 80;
+const PADDING = 4;
+
+export default function LineChart({ points, unit, color = '#38bdf8', height = HEIGHT }) {
+    if (!points || points.length === 0) {
+        return <div className="text-xs text-slate-500 italic">No data yet</div>;
+    }
+
+    const values = points.map(p => p.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const tMin = points[0].t;
+    const tMax = points[points.length - 1].t;
+
+    const x = (t) => (tMax === tMin ? WIDTH / 2 : PADDING + ((t - tMin) / (tMax - tMin)) * (WIDTH - 2 * PADDING));
+    const y = (v) => (max === min ? height / 2 : height - PADDING - ((v - min) / (max - min)) * (height - 2 * PADDING));
+    const path = points.map(p => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+
+    return (
+        <div className="relative">
+            <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto">
+                <polyline points={path} fill="none" stroke={color} strokeWidth="2" />
+                {points.map((p, i) => (
+                    <circle key={i} cx={x(p.t)} cy={y(p.value)} r="2.5" fill={color}>
+                        <title>{`${new Date(p.t).toLocaleString()}: ${p.value}${unit ? ` ${unit}` : ''}`}</title>
+                    </circle>
+                ))}
+            </svg>
+            <div className="flex justify-between text-[10px] font-mono text-slate-500">
+                <span>min {min}{unit}</span>
+                <span>max {max}{unit}</span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import ThroughputChart from './ThroughputChart';
+
+const PHASES = [
+    { key: 'download', label: 'Download', color: '#38bdf8' },
+    { key: 'upload', label: 'Upload', color: '#34d399' },
+];
+
+// Gauge full-scale values; the gauge uses the smallest one above the peak seen so far.
+const GAUGE_SCALES = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const GAUGE_RADIUS = 40;
+const GAUGE_LENGTH = Math.PI * GAUGE_RADIUS;
+
+// Half-circle speedometer for the current rate.
+const Gauge = ({ mbps, scale, color, label }) => {
+    const fraction = Math.min(1, mbps / scale);
+    return (
+        <div className="flex flex-col items-center">
+            <svg viewBox="0 0 100 56" className="w-40 h-auto" role="img" aria-label={`${label} ${mbps.toFixed(1)} Mbps`}>
+                <path d="M10 50 A40 40 0 0 1 90 50" fill="none" stroke="#334155" strokeWidth="8" strokeLinecap="round" />
+                <path
+                    d="M10 50 A40 40 0 0 1 90 50"
+                    fill="none"
+                    stroke={color}
+                    strokeWidth="8"
+                    strokeLinecap="round"
+                    strokeDasharray={`${fraction * GAUGE_LENGTH} ${GAUGE_LENGTH}`}
+                    className="transition-all duration-200"
+                />
+            </svg>
+            <div className="-mt-6 text-center">
+                <span className="font-mono text-2xl font-bold text-slate-100">{mbps.toFixed(1)}</span>
+                <span className="text-sm text-slate-400 ml-1">Mbps</span>
+            </div>
+            <span className="text-[10px] text-slate-500">{label} · scale {scale} Mbps</span>
+        </div>
+    );
+};
+
+// Live view of the server under test: a gauge for the current rate of the running phase and
+// one chart per phase. `live` is { server, phase, download: [samples], upload: [samples] }.
+export default function LiveThroughput({ live, durationMs }) {
+    const phase = PHASES.find(p => p.key === live.phase);
+    const samples = phase ? live[phase.key] : [];
+    const current = samples.length > 0 ? samples[samples.length - 1].mbps : 0;
+    const peak = Math.max(0, ...PHASES.flatMap(p => live[p.key].map(s => s.mbps)));
+    const scale = GAUGE_SCALES.find(s => s >= peak) || GAUGE_SCALES[GAUGE_SCALES.length - 1];
+
+    return (
+        <div className="mt-2 mb-4 rounded-xl bg-slate-800/60 border border-slate-700/80 p-3">
+            <div className="flex flex-col sm:flex-row items-center gap-4">
+                <Gauge mbps={current} scale={scale} color={phase ? phase.color : '#64748b'} label={phase ? `${phase.label} · ${live.server}` : live.server} />
+                <div className="flex-1 w-full grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    {PHASES.map(p => (
+                        <div key={p.key}>
+                            <span className={`text-xs font-bold ${p.key === live.phase ? 'text-slate-200' : 'text-slate-500'}`}>{p.label}</span>
+                            <ThroughputChart samples={live[p.key]} color={p.color} durationMs={durationMs} maxMbps={scale} height={60} />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+import { MONITOR_INTERVAL_RANGE_MINUTES } from '../lib/monitor';
+
+const THRESHOLDS = [
+    { key: 'maxPing', label: 'Ping above', unit: 'ms' },
+    { key: 'minDownload', label: 'Download below', unit: 'Mbps' },
+    { key: 'minUpload', label: 'Upload below', unit: 'Mbps' },
+];
+
+const formatTime = (t) => new Date(t).toLocaleTimeString();
+
+// Settings, schedule and recent alerts for monitoring mode. Settings are edited in place;
+// the interval is fixed while monitoring is running.
+export default function MonitorPanel({ settings, onChange, active, onToggle, canStart, nextRunAt, skippedRuns, alerts, notificationNote }) {
+    const update = (patch) => onChange({ ...settings, ...patch });
+    const updateThreshold = (key, raw) => {
+        const value = raw === '' ? null : parseFloat(raw);
+        update({ thresholds: { ...settings.thresholds, [key]: Number.isFinite(value) && value >= 0 ? value : null } });
+    };
+
+    return (
+        <div className="mt-4 rounded-xl bg-slate-800/60 border border-slate-700/80 p-3 text-sm space-y-3">
+            <div className="flex justify-between items-center">
+                <span className="font-medium text-slate-300">Monitoring</span>
+                <div className="flex items-center gap-2 text-slate-400">
+                    <span>every</span>
+                    <input
+                        type="number"
+                        min={MONITOR_INTERVAL_RANGE_MINUTES.min}
+                        max={MONITOR_INTERVAL_RANGE_MINUTES.max}
+                        value={settings.intervalMinutes}
+                        disabled={active}
+                        onChange={(e) => update({ intervalMinutes: Math.min(MONITOR_INTERVAL_RANGE_MINUTES.max, Math.max(MONITOR_INTERVAL_RANGE_MINUTES.min, parseInt(e.target.value, 10) || MONITOR_INTERVAL_RANGE_MINUTES.min)) })}
+                        className="w-16 rounded-md bg-slate-800/80 px-2 py-1 text-right text-slate-200 disabled:opacity-50"
+                        aria-label="Monitoring interval in minutes"
+                    />
+                    <span>min</span>
+                    <button
+                        onClick={onToggle}
+                        disabled={!active && !canStart}
+                        className={`px-3 py-1 rounded-md disabled:opacity-50 disabled:cursor-not-allowed ${active ? 'bg-red-500/80 text-white hover:bg-red-500' : 'bg-slate-800/80 text-slate-300 hover:text-white'}`}
+                    >
+                        {active ? 'Stop monitoring' : 'Start monitoring'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap justify-between gap-2 text-slate-400">
+                <span>Alert when</span>
+                {THRESHOLDS.map(t => (
+                    <label key={t.key} className="flex items-center gap-1">
+                        {t.label}
+                        <input
+                            type="number"
+                            min={0}
+                            value={settings.thresholds[t.key] ?? ''}
+                            placeholder="off"
+                            onChange={(e) => updateThreshold(t.key, e.target.value)}
+                            className="w-16 rounded-md bg-slate-800/80 px-2 py-1 text-right text-slate-200"
+                        />
+                        {t.unit}
+                    </label>
+                ))}
+                <span>or a server errors</span>
+            </div>
+
+            <div className="flex flex-wrap justify-between items-center gap-2 text-slate-400">
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={settings.notify}
+                        onChange={(e) => update({ notify: e.target.checked })}
+                        className="accent-sky-500"
+                    />
+                    Browser notifications
+                </label>
+                <input
+                    type="url"
+                    value={settings.webhookUrl}
+                    placeholder="Webhook URL (optional)"
+                    onChange={(e) => update({ webhookUrl: e.target.value.trim() })}
+                    className="flex-1 min-w-[12rem] rounded-md bg-slate-800/80 px-2 py-1 text-slate-200"
+                    aria-label="Webhook URL for alerts"
+                />
+            </div>
+            {notificationNote && <p className="text-amber-300/80 text-xs">{notificationNote}</p>}
+
+            {active && (
+                <p className="text-xs text-slate-400">
+                    {nextRunAt ? `Next run at ${formatTime(nextRunAt)}` : 'Running...'}
+                    {skippedRuns > 0 && ` · ${skippedRuns} run${skippedRuns === 1 ? '' : 's'} skipped while another test was in progress`}
+                    {` · runs every ${settings.intervalMinutes * settings.hiddenBackoffFactor} min while this tab is hidden`}
+                </p>
+            )}
+
+            {alerts.length > 0 && (
+                <ul className="text-xs space-y-1 max-h-32 overflow-y-auto">
+                    {alerts.map((alert, i) => (
+                        <li key={`${alert.at}-${i}`} className={alert.kind === 'error' ? 'text-red-300' : 'text-amber-300'}>
+                            <span className="text-slate-500 mr-2">{formatTime(alert.at)}</span>{alert.message}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
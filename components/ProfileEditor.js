@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { TEST_PROFILES, CUSTOM_PROFILE_KEY, PROFILE_RANGES, clampSetting } from '../lib/profiles';
+import { formatBytes } from '../lib/probe';
+
+const MB = 1024 * 1024;
+const inputClass = 'w-20 rounded-md bg-slate-800/80 px-2 py-1 text-right text-slate-200 disabled:opacity-50';
+
+const Field = ({ label, title, children }) => (
+    <div className="flex justify-between items-center mt-3 text-sm">
+        <span className="font-medium text-slate-300" title={title}>{label}</span>
+        <div className="flex items-center gap-2 text-slate-400">{children}</div>
+    </div>
+);
+
+// Profile picker, the settings editor (changing any value makes the profile "Custom") and
+// the data-usage estimate for the selected servers.
+export default function ProfileEditor({ settings, profileKey, onSelectProfile, onChange, estimate, serverCount, disabled }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const showEditor = isEditing || profileKey === CUSTOM_PROFILE_KEY;
+    const profile = TEST_PROFILES.find(p => p.key === profileKey);
+    const setNumber = (key, raw, scale = 1) => onChange({ [key]: clampSetting(key, (parseFloat(raw) || 0) * scale) });
+
+    return (
+        <div className="mb-2">
+            <div className="flex justify-between items-center">
+                <span className="text-sm font-medium text-slate-300">Profile</span>
+                <div className="flex rounded-lg bg-slate-800/80 p-1 text-sm">
+                    {[...TEST_PROFILES, { key: CUSTOM_PROFILE_KEY, label: 'Custom' }].map(p => (
+                        <button
+                            key={p.key}
+                            onClick={() => (p.key === CUSTOM_PROFILE_KEY ? setIsEditing(true) : onSelectProfile(p.key))}
+                            disabled={disabled}
+                            className={`px-3 py-1 rounded-md transition-colors disabled:cursor-not-allowed ${profileKey === p.key ? 'bg-sky-500 text-white' : 'text-slate-400 hover:text-slate-200'}`}
+                        >
+                            {p.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="flex justify-between items-start mt-1 text-xs text-slate-400 gap-3">
+                <span>{profile ? profile.description : 'Your own settings; they are kept in the page URL.'}</span>
+                {profileKey !== CUSTOM_PROFILE_KEY && (
+                    <button onClick={() => setIsEditing(prev => !prev)} className="flex-shrink-0 text-sky-400 hover:text-sky-300">
+                        {isEditing ? 'Hide settings' : 'Customize'}
+                    </button>
+                )}
+            </div>
+
+            {showEditor && (
+                <div className="mt-2 rounded-xl bg-slate-800/40 border border-slate-700/80 px-3 pb-3">
+                    <Field label="Connections">
+                        <div className="flex rounded-lg bg-slate-800/80 p-1 text-sm">
+                            {[{ label: 'Single stream', value: false }, { label: 'Multi-stream', value: true }].map(option => (
+                                <button
+                                    key={option.label}
+                                    onClick={() => onChange({ multiStream: option.value })}
+                                    disabled={disabled}
+                                    className={`px-3 py-1 rounded-md transition-colors disabled:cursor-not-allowed ${settings.multiStream === option.value ? 'bg-sky-500 text-white' : 'text-slate-400 hover:text-slate-200'}`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </Field>
+                    <Field label="Ping samples / timeout">
+                        <input type="number" min={PROFILE_RANGES.pingCount.min} max={PROFILE_RANGES.pingCount.max} value={settings.pingCount} disabled={disabled}
+                            onChange={(e) => onChange({ pingCount: clampSetting('pingCount', parseInt(e.target.value, 10) || PROFILE_RANGES.pingCount.min) })}
+                            className={inputClass} aria-label="Ping sample count" />
+                        <span>×</span>
+                        <input type="number" min={PROFILE_RANGES.pingTimeoutMs.min} max={PROFILE_RANGES.pingTimeoutMs.max} step={100} value={settings.pingTimeoutMs} disabled={disabled}
+                            onChange={(e) => setNumber('pingTimeoutMs', e.target.value)}
+                            className={inputClass} aria-label="Ping timeout in milliseconds" />
+                        <span>ms</span>
+                    </Field>
+                    <Field label="Phase duration" title="Longest a download or upload phase runs">
+                        <input type="number" min={PROFILE_RANGES.testDurationMs.min / 1000} max={PROFILE_RANGES.testDurationMs.max / 1000} value={settings.testDurationMs / 1000} disabled={disabled}
+                            onChange={(e) => setNumber('testDurationMs', e.target.value, 1000)}
+                            className={inputClass} aria-label="Phase duration in seconds" />
+                        <span>s</span>
+                    </Field>
+                    <Field label="Data cap per phase" title="Stops a phase once it has moved this much data; empty for no cap">
+                        <input type="number" min={PROFILE_RANGES.maxPhaseBytes.min / MB} max={PROFILE_RANGES.maxPhaseBytes.max / MB} placeholder="none" disabled={disabled}
+                            value={settings.maxPhaseBytes === null ? '' : Math.round(settings.maxPhaseBytes / MB)}
+                            onChange={(e) => (e.target.value === '' ? onChange({ maxPhaseBytes: null }) : setNumber('maxPhaseBytes', e.target.value, MB))}
+                            className={inputClass} aria-label="Data cap per phase in MB" />
+                        <span>MB</span>
+                    </Field>
+                    <Field label="Stop early when stable within" title="A phase ends early once its running average stays within this spread for 2 seconds">
+                        <input type="number" min={0} max={PROFILE_RANGES.stableTolerance.max * 100} step={0.5} value={Math.round(settings.stableTolerance * 1000) / 10} disabled={disabled}
+                            onChange={(e) => setNumber('stableTolerance', e.target.value, 0.01)}
+                            className={inputClass} aria-label="Stability tolerance in percent" />
+                        <span>%</span>
+                    </Field>
+                    <Field label="Request timeout" title="Applies to the warm-up request, response headers and stalled transfers">
+                        <input type="number" min={PROFILE_RANGES.requestTimeoutMs.min / 1000} max={PROFILE_RANGES.requestTimeoutMs.max / 1000} value={settings.requestTimeoutMs / 1000} disabled={disabled}
+                            onChange={(e) => setNumber('requestTimeoutMs', e.target.value, 1000)}
+                            className={inputClass} aria-label="Request timeout in seconds" />
+                        <span>s</span>
+                    </Field>
+                </div>
+            )}
+
+            <p className="mt-2 text-xs text-slate-400" title="Based on each server's latest saved result; the test may stop sooner">
+                Estimated data for {serverCount} server{serverCount === 1 ? '' : 's'}: ~{formatBytes(estimate.expectedBytes)}
+                {estimate.maxBytes !== null && `, at most ${formatBytes(estimate.maxBytes)}`}
+                {estimate.unknownServers > 0 && estimate.maxBytes === null && (
+                    <span className="text-amber-300/80"> plus {estimate.unknownServers} untested server{estimate.unknownServers === 1 ? '' : 's'} with no cap (can be hundreds of MB each)</span>
+                )}
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { probeServer } from '../lib/probe';
+import { CUSTOM_SERVER_TAG, customServerProblems } from '../lib/customServers';
+
+// Add or edit a custom server. Saving always re-probes the host, so the stored
+// capabilities match what it accepts right now.
+export default function ServerForm({ initial, takenNames, onSave, onCancel }) {
+    const [fields, setFields] = useState({
+        name: initial?.name || '',
+        baseUrl: initial?.baseUrl || '',
+        provider: initial?.provider || '',
+        region: initial?.region || '',
+        trailingSlash: Boolean(initial?.trailingSlash),
+    });
+    const [problems, setProblems] = useState([]);
+    const [checks, setChecks] = useState([]);
+    const [probeStatus, setProbeStatus] = useState('');
+    const [isProbing, setIsProbing] = useState(false);
+
+    const set = (key) => (e) => setFields(prev => ({ ...prev, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        const rawUrl = fields.baseUrl.trim();
+        const entry = {
+            name: fields.name.trim(),
+            baseUrl: /^[a-z]+:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`,
+            provider: fields.provider.trim() || 'Custom',
+            region: fields.region.trim() || 'Custom',
+            tags: [CUSTOM_SERVER_TAG],
+            ...(fields.trailingSlash ? { trailingSlash: true } : {}),
+        };
+        const invalid = customServerProblems(entry, takenNames);
+        setProblems(invalid);
+        setChecks([]);
+        if (invalid.length > 0) return;
+
+        setIsProbing(true);
+        try {
+            const result = await probeServer(entry, { onStatus: setProbeStatus });
+            setChecks(result.checks);
+            if (result.ok) onSave({ ...entry, capabilities: result.capabilities });
+        } catch (error) {
+            console.error('Server probe failed:', error);
+            setProblems([`Probe failed: ${error.message}`]);
+        } finally {
+            setIsProbing(false);
+            setProbeStatus('');
+        }
+    };
+
+    const inputClass = 'w-full rounded-md bg-slate-800/80 px-2 py-1 text-slate-200 disabled:opacity-50';
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-3 rounded-xl bg-slate-900/50 border border-slate-700/80 p-3 text-sm space-y-3">
+            <h3 className="font-bold text-slate-300">{initial ? `Edit ${initial.name}` : 'Add server'}</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-slate-400">
+                <label>Name<input value={fields.name} onChange={set('name')} disabled={isProbing} className={inputClass} required /></label>
+                <label>Base URL<input value={fields.baseUrl} onChange={set('baseUrl')} disabled={isProbing} placeholder="https://speedtest.example.com" className={inputClass} required /></label>
+                <label>Provider<input value={fields.provider} onChange={set('provider')} disabled={isProbing} placeholder="Custom" className={inputClass} /></label>
+                <label>Region<input value={fields.region} onChange={set('region')} disabled={isProbing} placeholder="Custom" className={inputClass} /></label>
+            </div>
+            <label className="flex items-center gap-2 text-slate-400">
+                <input type="checkbox" checked={fields.trailingSlash} onChange={set('trailingSlash')} disabled={isProbing} className="accent-sky-500" />
+                Endpoints need a trailing slash (/api/ping/)
+            </label>
+
+            {problems.length > 0 && (
+                <ul className="text-xs text-red-300 list-disc pl-5">
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                </ul>
+            )}
+            {checks.length > 0 && (
+                <ul className="text-xs space-y-1">
+                    {checks.map(check => (
+                        <li key={check.label} className={check.ok ? 'text-slate-300' : 'text-red-300'}>
+                            {check.ok ? '✓' : '✗'} <span className="font-semibold">{check.label}:</span> {check.detail}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {isProbing && <p className="text-xs text-sky-300/80">{probeStatus}</p>}
+
+            <div className="flex justify-end gap-2">
+                <button type="button" onClick={onCancel} disabled={isProbing} className="px-3 py-1 rounded-md bg-slate-800/80 text-slate-300 hover:text-white disabled:opacity-50">Cancel</button>
+                <button type="submit" disabled={isProbing} className="px-3 py-1 rounded-md bg-sky-500 text-white hover:bg-sky-600 disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isProbing ? 'Probing...' : initial ? 'Probe and save' : 'Probe and add'}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,34 @@
+// Throughput over one transfer phase, from throughput meter samples ({ t, mbps, warmup }).
+// The shaded band is the warm-up window excluded from the result, which makes TCP ramp-up
+// and later throttling easy to tell apart.
+const WIDTH = 300;
+const HEIGHT = 80;
+const PADDING = 4;
+
+export default function ThroughputChart({ samples, color = '#38bdf8', height = HEIGHT, durationMs, maxMbps }) {
+    if (!samples || samples.length === 0) {
+        return <div className="text-xs text-slate-500 italic" style={{ height }}>Waiting for data...</div>;
+    }
+
+    const tMax = Math.max(durationMs || 0, samples[samples.length - 1].t);
+    const peak = Math.max(...samples.map(s => s.mbps));
+    const top = Math.max(maxMbps || 0, peak, 1);
+    const x = (t) => PADDING + (t / tMax) * (WIDTH - 2 * PADDING);
+    const y = (mbps) => height - PADDING - (mbps / top) * (height - 2 * PADDING);
+    const line = [`${x(0).toFixed(1)},${y(0).toFixed(1)}`, ...samples.map(s => `${x(s.t).toFixed(1)},${y(s.mbps).toFixed(1)}`)].join(' ');
+    const lastWarmup = samples.filter(s => s.warmup).pop();
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-label="Throughput over time">
+                {lastWarmup && <rect x={PADDING} y={0} width={x(lastWarmup.t) - PADDING} height={height} fill="#334155" opacity="0.35" />}
+                <polygon points={`${line} ${x(samples[samples.length - 1].t).toFixed(1)},${y(0).toFixed(1)}`} fill={color} opacity="0.15" />
+                <polyline points={line} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+            </svg>
+            <div className="flex justify-between text-[10px] font-mono text-slate-500">
+                <span>{(samples[samples.length - 1].t / 1000).toFixed(1)}s{lastWarmup ? ' · shaded: warm-up' : ''}</span>
+                <span>peak {peak.toFixed(1)} Mbps</span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+import { TIMING_PHASES } from '../lib/timing';
+
+const PHASE_COLORS = {
+    dns: 'bg-violet-400',
+    connect: 'bg-amber-400',
+    tls: 'bg-rose-400',
+    ttfb: 'bg-sky-400',
+    transfer: 'bg-emerald-400',
+};
+
+const REQUESTS = [
+    { key: 'warmup', label: 'Warm-up (cold)' },
+    { key: 'ping', label: 'Ping (median)' },
+    { key: 'download', label: 'Download' },
+    { key: 'upload', label: 'Upload' },
+];
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${Math.round(ms)}ms`);
+
+// Stacked DNS / connect / TLS / TTFB / transfer bars for the requests in result.timings, all
+// on one scale so a slow cold start stands out against the steady-state requests.
+export default function TimingBreakdown({ timings }) {
+    const rows = REQUESTS.filter(r => timings[r.key]);
+    if (rows.length === 0) return <p className="text-xs text-slate-500 italic">No timing data.</p>;
+    const scale = Math.max(...rows.map(r => timings[r.key].total || timings[r.key].durationMs || 0), 1);
+
+    return (
+        <div className="space-y-1.5 text-[11px]">
+            {rows.map(({ key, label }) => {
+                const t = timings[key];
+                const total = t.total ?? t.durationMs;
+                return (
+                    <div key={key} className="flex items-center gap-2">
+                        <span className="w-28 flex-shrink-0 text-slate-400">{label}</span>
+                        <div className="flex-1 flex h-3 rounded bg-slate-900/60 overflow-hidden" title={t.restricted ? 'The host does not send Timing-Allow-Origin, so only the total is known' : undefined}>
+                            {t.restricted || t.ttfb === undefined
+                                ? <div className="bg-slate-500" style={{ width: `${(total / scale) * 100}%` }} />
+                                : TIMING_PHASES.map(p => (
+                                    <div key={p.key} className={PHASE_COLORS[p.key]} style={{ width: `${(t[p.key] / scale) * 100}%` }} title={`${p.label} ${formatMs(t[p.key])}`} />
+                                ))}
+                        </div>
+                        <span className="w-14 flex-shrink-0 text-right font-mono text-slate-300">{formatMs(total)}</span>
+                    </div>
+                );
+            })}
+            <div className="flex flex-wrap gap-3 pt-1 text-slate-500">
+                {TIMING_PHASES.map(p => (
+                    <span key={p.key} className="flex items-center gap-1"><span className={`inline-block w-2 h-2 rounded-sm ${PHASE_COLORS[p.key]}`} />{p.label}</span>
+                ))}
+                {timings.warmup?.durationMs !== undefined && timings.ping && (
+                    <span className="ml-auto">Cold start {formatMs(timings.warmup.durationMs)} vs steady RTT {formatMs(timings.ping.total)}</span>
+                )}
+            </div>
+        </div>
+    );
+}
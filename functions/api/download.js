@@ -1,51 +1,129 @@
-
 // pages/api/ping.js
-export const runtime = 'edge'; 
+import { PAYLOAD_MODES, DEFAULT_PAYLOAD_MODE, DETERMINISTIC_MODES, PAYLOAD_CHUNK_BYTES, createPayloadSource } from '../../lib/payload.js';
+import { NO_STORE_HEADERS, corsHeaders, handleMethod, jsonResponse } from '../../lib/http.js';
+import { configValue } from '../../lib/config.js';
+
+export const runtime = 'edge';
 export const config = { runtime: 'edge', };
 
-// Function to generate a chunk of random data as Uint8Array
-function generateRandomChunk(size) {
-  // Create a buffer of the specified size.
-  const buffer = new Uint8Array(size);
-  crypto.getRandomValues(buffer);
-  return buffer;
+// Safety cap for stream=1 responses whose client never disconnects
+const MAX_STREAM_DURATION_MS = 60 * 1000;
+const DEFAULT_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
+
+// Per-deployment size limit, overridable with the MAX_DOWNLOAD_BYTES environment variable.
+const DEFAULT_MAX_DOWNLOAD_BYTES = 1024 * 1024 * 1024; // 1GB
+function maxDownloadBytes() {
+  const configured = parseInt(configValue('MAX_DOWNLOAD_BYTES'), 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_DOWNLOAD_BYTES;
+}
+
+const METHODS = ['GET'];
+const cors = {
+  ...corsHeaders(METHODS),
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, ETag, X-Payload-Mode',
+};
+
+function badRequest(message) {
+  return jsonResponse({ message }, 400, { ...NO_STORE_HEADERS, ...cors });
+}
+
+// Parses a single "bytes=" range against `size`. Returns { start, end } (inclusive), null when
+// the header should be ignored (absent, malformed or multiple ranges) or 'unsatisfiable'.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return 'unsatisfiable';
+    return { start: Math.max(0, size - length), end: size - 1 };
+  }
+  const start = Number(match[1]);
+  const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  if (start >= size || end < start) return 'unsatisfiable';
+  return { start, end };
 }
 
 export default async function handler(req) {
+  const rejected = handleMethod(req, METHODS);
+  if (rejected) return rejected;
+
   // In the Edge Runtime, req is a standard Request object.
   // We need to parse query parameters from the URL.
   const url = new URL(req.url);
-  const requestedSize = parseInt(url.searchParams.get('size')) || (10 * 1024 * 1024); // Default to 10MB
-  const chunkSize = 64 * 1024; // 64KB chunks
+  // stream=1: ignore size and keep sending until the client stops reading (time-boxed tests),
+  // for at most MAX_STREAM_DURATION_MS and MAX_DOWNLOAD_BYTES
+  const streaming = url.searchParams.get('stream') === '1';
+  const startTime = Date.now();
+
+  // size: whole number of bytes, 1 .. MAX_DOWNLOAD_BYTES (parseInt alone accepted "5e9", "-1", "12abc")
+  const limit = maxDownloadBytes();
+  const sizeParam = url.searchParams.get('size');
+  const requestedSize = sizeParam ? Number(sizeParam) : DEFAULT_SIZE_BYTES;
+  if (!streaming && ((sizeParam && !/^\d+$/.test(sizeParam)) || requestedSize < 1 || requestedSize > limit)) {
+    return badRequest(`size must be a whole number of bytes between 1 and ${limit}`);
+  }
+
+  const mode = url.searchParams.get('mode') || DEFAULT_PAYLOAD_MODE;
+  if (!PAYLOAD_MODES.includes(mode)) {
+    return badRequest(`mode must be one of ${PAYLOAD_MODES.join(', ')}`);
+  }
+  const seedParam = url.searchParams.get('seed') || '0';
+  if (!/^\d+$/.test(seedParam) || Number(seedParam) > 0xffffffff) {
+    return badRequest('seed must be a whole number between 0 and 4294967295');
+  }
+  const read = createPayloadSource(mode, Number(seedParam));
+  const deterministic = DETERMINISTIC_MODES.includes(mode);
 
   const headers = {
     'Content-Type': 'application/octet-stream',
     'Content-Disposition': 'attachment; filename="download.dat"',
-    'Content-Length': requestedSize.toString(),
-    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0',
-    'Surrogate-Control': 'no-store',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET',
-    'Access-Control-Allow-Headers': 'X-Requested-With, Content-Type, Authorization'
+    ...NO_STORE_HEADERS,
+    'X-Payload-Mode': mode,
+    ...cors,
   };
 
-  let bytesSent = 0;
+  // Byte range to send; Range is honoured for fixed-size responses only
+  let start = 0;
+  let end = (streaming ? limit : requestedSize) - 1;
+  let status = 200;
+  if (!streaming) {
+    headers['Accept-Ranges'] = 'bytes';
+    if (deterministic) {
+      headers['ETag'] = `"${mode}-${seedParam}-${requestedSize}"`;
+      // cache=1 lets a CDN keep reproducible payloads, e.g. to measure cache-hit throughput
+      if (url.searchParams.get('cache') === '1') {
+        headers['Cache-Control'] = 'public, max-age=3600';
+        delete headers['Pragma'];
+        delete headers['Expires'];
+        delete headers['Surrogate-Control'];
+      }
+    }
+    const range = parseRange(req.headers.get('Range'), requestedSize);
+    if (range === 'unsatisfiable') {
+      return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${requestedSize}` } });
+    }
+    if (range) {
+      ({ start, end } = range);
+      status = 206;
+      headers['Content-Range'] = `bytes ${start}-${end}/${requestedSize}`;
+    }
+    headers['Content-Length'] = (end - start + 1).toString();
+  }
+
+  let offset = start;
   const stream = new ReadableStream({
     async pull(controller) {
-      if (bytesSent >= requestedSize) {
+      if (offset > end || (streaming && Date.now() - startTime >= MAX_STREAM_DURATION_MS)) {
         controller.close();
         return;
       }
 
-      const bytesRemaining = requestedSize - bytesSent;
-      const currentChunkSize = Math.min(chunkSize, bytesRemaining);
-      
+      const currentChunkSize = Math.min(PAYLOAD_CHUNK_BYTES, end - offset + 1);
+
       try {
-        const chunk = generateRandomChunk(currentChunkSize);
-        controller.enqueue(chunk);
-        bytesSent += currentChunkSize;
+        controller.enqueue(read(offset, currentChunkSize));
+        offset += currentChunkSize;
       } catch (error) {
         console.error("Error generating or enqueuing chunk:", error);
         controller.error(error); // Signal an error to the stream
@@ -57,5 +135,5 @@ export default async function handler(req) {
     }
   });
 
-  return new Response(stream, { headers });
+  return new Response(stream, { status, headers });
 }
@@ -0,0 +1,26 @@
+// pages/api/meta.js
+import { corsHeaders, handleMethod } from '../../lib/http.js';
+import { requestClient } from '../../lib/client.js';
+
+export const runtime = 'edge';
+export const config = { runtime: 'edge', };
+
+const METHODS = ['GET'];
+
+export default function handler(req) {
+  const rejected = handleMethod(req, METHODS);
+  if (rejected) return rejected;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    ...corsHeaders(METHODS),
+  };
+
+  const meta = requestClient(req);
+
+  return new Response(JSON.stringify(meta), {
+    status: 200,
+    headers: headers,
+  });
+}
@@ -1,15 +1,22 @@
 import '@vercel/edge'
-export const runtime = 'edge'; 
+import { NO_STORE_HEADERS, corsHeaders, handleMethod } from '../../lib/http.js';
+
+export const runtime = 'edge';
 export const config = { runtime: 'edge', };
+
+const METHODS = ['GET'];
+
 export default function handler(req) {
+  const rejected = handleMethod(req, METHODS);
+  if (rejected) return rejected;
+
+  // Never cacheable: a CDN answering from cache would report its own RTT, not the host's.
   const headers = {
-    'Cache-Control': 's-maxage=3600',
+    ...NO_STORE_HEADERS,
     'Content-Type': 'text/plain',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET',
-    'Access-Control-Allow-Headers': 'X-Requested-With, Content-Type, Authorization',
+    ...corsHeaders(METHODS),
   };
-  
+
   return new Response('OK', {
     status: 200,
     headers: headers,
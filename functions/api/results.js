@@ -0,0 +1,127 @@
+// pages/api/results.js
+import { NO_STORE_HEADERS, corsHeaders, handleMethod, jsonResponse } from '../../lib/http.js';
+import { requestClient } from '../../lib/client.js';
+import { SERVER_REGISTRY } from '../../lib/servers.js';
+import { validateSubmission, aggregateResults, AGGREGATE_GROUPINGS } from '../../lib/collect.js';
+import { getResultStore } from '../../lib/resultStore.js';
+import { createRateLimiter } from '../../lib/rateLimit.js';
+import { configValue } from '../../lib/config.js';
+
+export const runtime = 'edge';
+export const config = { runtime: 'edge', };
+
+// Opt-in collection: POST stores a submission (see lib/collect.js), GET returns per-server
+// percentiles by country or ASN. Both answer 404 until a result store is configured.
+
+const DEFAULT_MAX_BYTES = 32 * 1024;
+const DEFAULT_RATE_LIMIT = 30; // Submissions per client address per hour
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+function envLimit(name, fallback) {
+  const configured = parseInt(configValue(name), 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : fallback;
+}
+
+const METHODS = ['GET', 'POST'];
+const headers = {
+  ...NO_STORE_HEADERS,
+  ...corsHeaders(METHODS),
+};
+
+const limiter = createRateLimiter({ windowMs: RATE_WINDOW_MS });
+
+// Reads at most `limit` bytes of the body as text; null when it is larger.
+async function readBody(req, limit) {
+  const declaredLength = parseInt(req.headers.get('Content-Length'), 10);
+  if (declaredLength > limit) return null;
+  const reader = req.body.getReader();
+  const chunks = [];
+  let receivedBytes = 0;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    receivedBytes += value.length;
+    if (receivedBytes > limit) {
+      await reader.cancel('Submission too large');
+      return null;
+    }
+    chunks.push(value);
+  }
+  const body = new Uint8Array(receivedBytes);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return new TextDecoder().decode(body);
+}
+
+async function submit(req, store) {
+  const client = requestClient(req);
+  // Without an address there is nothing to rate limit by, and one shared bucket would let
+  // a single client lock everyone else out
+  if (!client.ip) {
+    return jsonResponse({ message: 'Submissions need a client address, and the platform did not provide one.' }, 403, headers);
+  }
+  const { allowed, retryAfterMs } = limiter.take(client.ip, envLimit('RESULTS_RATE_LIMIT', DEFAULT_RATE_LIMIT));
+  if (!allowed) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    return jsonResponse({ message: `Too many submissions; try again in ${retryAfter} s` }, 429, { ...headers, 'Retry-After': String(retryAfter) });
+  }
+  if (!req.body) {
+    return jsonResponse({ message: 'Request body is missing.' }, 400, headers);
+  }
+
+  const limit = envLimit('RESULTS_MAX_BYTES', DEFAULT_MAX_BYTES);
+  const text = await readBody(req, limit);
+  if (text === null) {
+    return jsonResponse({ message: `Submission exceeds the ${limit} byte limit`, maxBytes: limit }, 413, headers);
+  }
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    return jsonResponse({ message: 'Submission must be JSON' }, 400, headers);
+  }
+  const { problems, results, ignored } = validateSubmission(doc, SERVER_REGISTRY.map(s => s.name));
+  if (problems.length > 0) {
+    return jsonResponse({ message: 'Invalid submission', problems }, 400, headers);
+  }
+
+  const at = Date.now();
+  await store.add(results.map(result => ({ at, ...result, country: client.country, asn: client.asn })));
+  return jsonResponse({ accepted: results.length, ignored }, results.length > 0 ? 201 : 200, headers);
+}
+
+async function aggregate(req, store) {
+  const { searchParams } = new URL(req.url);
+  const by = searchParams.get('by') || AGGREGATE_GROUPINGS[0].key;
+  if (!AGGREGATE_GROUPINGS.some(g => g.key === by)) {
+    return jsonResponse({ message: `"by" must be one of ${AGGREGATE_GROUPINGS.map(g => g.key).join(', ')}` }, 400, headers);
+  }
+  const days = searchParams.has('days') ? parseInt(searchParams.get('days'), 10) : DEFAULT_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return jsonResponse({ message: `"days" must be an integer between 1 and ${MAX_DAYS}` }, 400, headers);
+  }
+  const records = await store.list({ since: Date.now() - days * 24 * 60 * 60 * 1000 });
+  return jsonResponse({ by, days, total: records.length, servers: aggregateResults(records, { by }) }, 200, headers);
+}
+
+export default async function handler(req) {
+  const rejected = handleMethod(req, METHODS);
+  if (rejected) return rejected;
+
+  const store = getResultStore();
+  if (!store) {
+    return jsonResponse({ message: 'Result collection is not enabled on this deployment.' }, 404, headers);
+  }
+  try {
+    return req.method === 'POST' ? await submit(req, store) : await aggregate(req, store);
+  } catch (error) {
+    console.error('Results API error:', error);
+    return jsonResponse({ message: 'Error processing results' }, 500, headers);
+  }
+}
@@ -0,0 +1,34 @@
+// pages/api/servers.js
+import { SERVER_REGISTRY, parseRegistry } from '../../lib/servers.js';
+import { corsHeaders, handleMethod } from '../../lib/http.js';
+
+export const runtime = 'edge';
+export const config = { runtime: 'edge', };
+
+const METHODS = ['GET'];
+
+export default function handler(req) {
+  const rejected = handleMethod(req, METHODS);
+  if (rejected) return rejected;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'public, max-age=300',
+    ...corsHeaders(METHODS),
+  };
+
+  try {
+    // Validate on every request so a bad registry edit fails loudly instead of reaching clients.
+    const servers = parseRegistry(SERVER_REGISTRY);
+    return new Response(JSON.stringify({ version: 1, servers }), {
+      status: 200,
+      headers: headers,
+    });
+  } catch (error) {
+    console.error('Server registry validation failed:', error);
+    return new Response(JSON.stringify({ message: error.message }), {
+      status: 500,
+      headers: headers,
+    });
+  }
+}
@@ -1,56 +1,73 @@
 // pages/api/upload.js
-export const runtime = 'edge'; 
+import { NO_STORE_HEADERS, corsHeaders, handleMethod, jsonResponse } from '../../lib/http.js';
+import { configValue } from '../../lib/config.js';
+
+export const runtime = 'edge';
 export const config = {
   runtime: 'edge',
 };
 
+// Per-deployment upload limit, overridable with the MAX_UPLOAD_BYTES environment variable.
+const DEFAULT_MAX_UPLOAD_BYTES = 26 * 1024 * 1024; // 26MB
+function maxUploadBytes() {
+  const configured = parseInt(configValue('MAX_UPLOAD_BYTES'), 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+const METHODS = ['POST'];
+const headers = {
+  ...NO_STORE_HEADERS,
+  ...corsHeaders(METHODS),
+};
+
+function tooLarge(limit) {
+  return jsonResponse({ message: `Upload exceeds the ${limit} byte limit`, maxBytes: limit }, 413, headers);
+}
+
 export default async function handler(req) {
+  const rejected = handleMethod(req, METHODS);
+  if (rejected) return rejected;
+
   // In the Edge Runtime, req is a standard Request object.
-  if (req.method === 'POST') {
-    if (!req.body) {
-      return new Response('Request body is missing.', { status: 400 });
-    }
-    try {
-      // Consume the stream to simulate receiving the upload
-      // The client measures the time it takes to send this data.
-      const reader = req.body.getReader();
-      // eslint-disable-next-line no-constant-condition
-      while (true) {
-        const { done } = await reader.read();
-        if (done) {
-          break;
-        }
+  if (!req.body) {
+    return jsonResponse({ message: 'Request body is missing.' }, 400, headers);
+  }
+  const limit = maxUploadBytes();
+  // Reject early when the client announces an oversized body
+  const declaredLength = parseInt(req.headers.get('Content-Length'), 10);
+  if (declaredLength > limit) {
+    return tooLarge(limit);
+  }
+  try {
+    // Count the stream and time it from the first to the last received byte, so the
+    // client can compare its own measurement against what actually arrived.
+    const reader = req.body.getReader();
+    let receivedBytes = 0;
+    let firstByteAt = null;
+    let lastByteAt = null;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      if (value.length === 0) continue;
+      if (firstByteAt === null) firstByteAt = Date.now();
+      lastByteAt = Date.now();
+      receivedBytes += value.length;
+      if (receivedBytes > limit) {
+        await reader.cancel('Upload limit exceeded');
+        return tooLarge(limit);
       }
-      // console.log(`Upload API (Edge): Consumed ${receivedBytes} bytes.`);
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-        'Pragma': 'no-cache',
-        'Expires': '0',
-        'Surrogate-Control': 'no-store',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'X-Requested-With, Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'POST'
-      };
-
-      return new Response(JSON.stringify({ message: 'Upload received' }), {
-        status: 200,
-        headers: headers,
-      });
-
-    } catch (error) {
-      console.error('Upload API (Edge) stream processing error:', error);
-      return new Response(JSON.stringify({ message: 'Error processing upload data' }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' },
-      });
     }
-  } else {
-    // Method Not Allowed
-    return new Response(`Method ${req.method} Not Allowed`, {
-      status: 200,
-      headers: { 'Allow': 'POST'},
-    });
+
+    const durationMs = firstByteAt === null ? 0 : lastByteAt - firstByteAt;
+    const mbps = durationMs > 0 ? (receivedBytes * 8) / (durationMs / 1000) / (1000 * 1000) : null;
+
+    return jsonResponse({ message: 'Upload received', bytes: receivedBytes, durationMs, mbps, maxBytes: limit }, 200, headers);
+
+  } catch (error) {
+    console.error('Upload API (Edge) stream processing error:', error);
+    return jsonResponse({ message: 'Error processing upload data' }, 500, headers);
   }
 }
@@ -0,0 +1,35 @@
+// lib/client.js
+// What the hosting platform tells us about the client of a request: address, location,
+// network and the edge location that answered. Used by /api/meta and /api/results.
+
+// Vercel region ids in x-vercel-id look like "syd1::iad1::abcde-123"; the first hop is the edge.
+const vercelEdge = (id) => (id ? id.split('::')[0].replace(/\d+$/, '').toUpperCase() || null : null);
+// cf-ray ends with the colo when a request was proxied through Cloudflare, e.g. "8a1b2c3d4e5f-SYD"
+const rayColo = (ray) => (ray && ray.includes('-') ? ray.split('-').pop().toUpperCase() : null);
+
+// Vercel percent-encodes the city; a malformed value is returned as sent rather than throwing
+function decodeHeader(value) {
+    if (!value) return null;
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+// Cloudflare exposes request.cf; other platforms only send headers. Every field is null when unknown.
+export function requestClient(req) {
+    const cf = req.cf || {};
+    const h = (name) => req.headers.get(name);
+    const forwardedFor = h('x-forwarded-for');
+    return {
+        ip: h('cf-connecting-ip') || h('x-nf-client-connection-ip') || h('x-real-ip') || (forwardedFor ? forwardedFor.split(',')[0].trim() : null),
+        country: cf.country || h('cf-ipcountry') || h('x-vercel-ip-country') || h('x-country') || null,
+        city: cf.city || decodeHeader(h('x-vercel-ip-city')),
+        asn: cf.asn || null,
+        isp: cf.asOrganization || null,
+        colo: cf.colo || vercelEdge(h('x-vercel-id')) || rayColo(h('cf-ray')),
+        protocol: cf.httpProtocol || null,
+        tlsVersion: cf.tlsVersion || null,
+    };
+}
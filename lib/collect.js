@@ -0,0 +1,165 @@
+// lib/collect.js
+// Opt-in result collection. Defines the submission format shared by the page and
+// /api/results, validates it, and builds the per-server aggregates shown on /stats.
+// Submissions carry measurements only. Country and ASN come from the request on the server
+// side, and the client address is never stored.
+import { percentile, RESPONSIVENESS_GRADES } from './stats.js';
+import { summarizeResult } from './share.js';
+import { isCustomServer } from './customServers.js';
+
+export const RESULTS_PATH = '/api/results';
+export const COLLECT_VERSION = 1;
+export const COLLECT_STORAGE_KEY = 'speedtest.collect.v1';
+export const MAX_SUBMITTED_RESULTS = 50;
+
+export const AGGREGATE_GROUPINGS = [
+    { key: 'country', label: 'Country' },
+    { key: 'asn', label: 'Network (ASN)' },
+];
+export const AGGREGATE_PERCENTILES = [10, 50, 90];
+// Groups with fewer results than this are folded into "Other", so no single user's results stand out
+export const MIN_GROUP_SIZE = 3;
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+// Whether this browser has opted in to contributing its results. Off unless the user turns it on.
+export function loadCollectOptIn() {
+    const store = storage();
+    return Boolean(store && store.getItem(COLLECT_STORAGE_KEY) === 'on');
+}
+
+export function saveCollectOptIn(enabled) {
+    const store = storage();
+    if (store) store.setItem(COLLECT_STORAGE_KEY, enabled ? 'on' : 'off');
+    return enabled;
+}
+
+// --- SCHEMA ---
+// A submission is { version: 1, results: [...] }; each result is checked field by field.
+const measurement = (max) => (v) => v === null || (typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= max);
+const GRADES = RESPONSIVENESS_GRADES.map(g => g.grade);
+
+export const SUBMITTED_RESULT_SCHEMA = {
+    server: { required: true, check: (v) => typeof v === 'string' && v.length > 0 && v.length <= 100, message: 'must be a server name of at most 100 characters' },
+    ping: { required: true, check: measurement(60000), message: 'must be null or milliseconds between 0 and 60000' },
+    jitter: { required: false, check: measurement(60000), message: 'must be null or milliseconds between 0 and 60000' },
+    lossPct: { required: false, check: measurement(100), message: 'must be null or a percentage' },
+    download: { required: true, check: measurement(100000), message: 'must be null or Mbps between 0 and 100000' },
+    upload: { required: true, check: measurement(100000), message: 'must be null or Mbps between 0 and 100000' },
+    grade: { required: false, check: (v) => v === null || GRADES.includes(v), message: `must be null or one of ${GRADES.join(', ')}` },
+};
+
+// Validates a parsed submission. Results for servers outside `serverNames` are skipped, not
+// rejected, since the page may list servers this deployment does not know. Returns
+// { problems, results, ignored }, where an empty problems list means the submission is valid.
+export function validateSubmission(doc, serverNames) {
+    if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) return { problems: ['submission must be an object'], results: [], ignored: [] };
+    if (doc.version !== COLLECT_VERSION) return { problems: [`version must be ${COLLECT_VERSION}`], results: [], ignored: [] };
+    if (!Array.isArray(doc.results) || doc.results.length === 0) return { problems: ['results must be a non-empty array'], results: [], ignored: [] };
+    if (doc.results.length > MAX_SUBMITTED_RESULTS) return { problems: [`at most ${MAX_SUBMITTED_RESULTS} results per submission`], results: [], ignored: [] };
+
+    const problems = [];
+    doc.results.forEach((result, index) => {
+        if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+            problems.push(`result #${index}: must be an object`);
+            return;
+        }
+        for (const [field, rule] of Object.entries(SUBMITTED_RESULT_SCHEMA)) {
+            if (result[field] === undefined) {
+                if (rule.required) problems.push(`result #${index}: ${field} is required`);
+            } else if (!rule.check(result[field])) {
+                problems.push(`result #${index}: ${field} ${rule.message}`);
+            }
+        }
+        Object.keys(result).filter(field => !(field in SUBMITTED_RESULT_SCHEMA)).forEach(field => problems.push(`result #${index}: unknown field "${field}"`));
+    });
+    if (problems.length > 0) return { problems, results: [], ignored: [] };
+
+    const known = doc.results.filter(r => serverNames.includes(r.server));
+    const results = known.map(r => Object.fromEntries(Object.keys(SUBMITTED_RESULT_SCHEMA).map(field => [field, r[field] ?? null])));
+    return { problems, results, ignored: doc.results.filter(r => !serverNames.includes(r.server)).map(r => r.server) };
+}
+
+// The submission for a finished run: registry servers only (hosts the user added stay
+// private), with '--', 'ERR' and 'Disabled' sent as null.
+export function buildSubmission(run) {
+    const numberOrNull = (v) => (typeof v === 'number' ? v : null);
+    const results = run.results
+        .map(result => ({ result, server: run.servers.find(s => s.name === result.name) }))
+        .filter(({ result, server }) => server && !isCustomServer(server) && (result.status === 'complete' || result.status === 'error'))
+        .map(({ result, server }) => {
+            const summary = summarizeResult(result, server);
+            return {
+                server: summary.name,
+                ping: numberOrNull(summary.ping),
+                jitter: numberOrNull(summary.jitter),
+                lossPct: numberOrNull(summary.lossPct),
+                download: numberOrNull(summary.download),
+                upload: numberOrNull(summary.upload),
+                grade: summary.grade,
+            };
+        })
+        .filter(r => r.ping !== null || r.download !== null || r.upload !== null);
+    return { version: COLLECT_VERSION, results: results.slice(0, MAX_SUBMITTED_RESULTS) };
+}
+
+// POSTs a run to the collection endpoint. Resolves with the receipt ({ accepted, ignored }),
+// or null when the run has nothing to contribute; rejects when the endpoint refuses it.
+export async function submitResults(run, url = RESULTS_PATH) {
+    const submission = buildSubmission(run);
+    if (submission.results.length === 0) return null;
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(submission) });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+    return body;
+}
+
+// --- AGGREGATES ---
+const GROUP_KEYS = {
+    country: (record) => record.country || 'Unknown',
+    asn: (record) => (record.asn ? `AS${record.asn}` : 'Unknown'),
+};
+
+// { n, p10, p50, p90 } over the non-null values of one metric, or null when there are none.
+function spread(records, metric) {
+    const values = records.map(r => r[metric]).filter(v => typeof v === 'number').sort((a, b) => a - b);
+    if (values.length === 0) return null;
+    const summary = { n: values.length };
+    AGGREGATE_PERCENTILES.forEach(p => {
+        summary[`p${p}`] = Math.round(percentile(values, p) * 100) / 100;
+    });
+    return summary;
+}
+
+const summarize = (key, records) => ({ key, count: records.length, ping: spread(records, 'ping'), download: spread(records, 'download'), upload: spread(records, 'upload') });
+
+// Per-server percentiles of stored records, overall and per country or ASN (`by`). Returns
+// [{ server, all, groups: [{ key, count, ping, download, upload }] }] with servers by name and
+// groups largest first. Groups under MIN_GROUP_SIZE results are merged into "Other".
+export function aggregateResults(records, { by = 'country' } = {}) {
+    const groupKey = GROUP_KEYS[by];
+    const byServer = new Map();
+    records.forEach(record => {
+        if (!byServer.has(record.server)) byServer.set(record.server, []);
+        byServer.get(record.server).push(record);
+    });
+
+    return [...byServer.keys()].sort().map(server => {
+        const serverRecords = byServer.get(server);
+        const groups = new Map();
+        const other = [];
+        serverRecords.forEach(record => {
+            const key = groupKey(record);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+        const summaries = [];
+        groups.forEach((groupRecords, key) => {
+            if (groupRecords.length < MIN_GROUP_SIZE) other.push(...groupRecords);
+            else summaries.push(summarize(key, groupRecords));
+        });
+        summaries.sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+        if (other.length > 0) summaries.push(summarize('Other', other));
+        return { server, all: summarize('All', serverRecords), groups: summaries };
+    });
+}
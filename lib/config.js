@@ -0,0 +1,16 @@
+// lib/config.js
+// Deployment settings (MAX_UPLOAD_BYTES, MAX_DOWNLOAD_BYTES, RESULTS_STORE, ...). Node and the
+// edge runtimes expose them as process.env; a Cloudflare Worker gets them as `env` bindings on
+// each request instead, which _worker.js hands to setConfigVars().
+
+let vars = null;
+
+export function setConfigVars(bindings) {
+    vars = bindings || null;
+}
+
+// The raw value of setting `name`, or undefined when it is not set.
+export function configValue(name) {
+    if (vars && vars[name] !== undefined) return vars[name];
+    return globalThis.process?.env?.[name];
+}
@@ -0,0 +1,42 @@
+// lib/customServers.js
+// Servers added from the UI, kept in localStorage as plain registry entries (the same shape
+// as SERVER_REGISTRY) so they go through the same validation and expandServer().
+import { validateServer } from './servers.js';
+
+export const CUSTOM_SERVERS_STORAGE_KEY = 'speedtest.customServers.v1';
+export const CUSTOM_SERVER_TAG = 'custom';
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+export const isCustomServer = (server) => Boolean(server && server.tags && server.tags.includes(CUSTOM_SERVER_TAG));
+
+// Returns the saved entries, dropping any that no longer validate.
+export function loadCustomServers() {
+    const store = storage();
+    if (!store) return [];
+    try {
+        const entries = JSON.parse(store.getItem(CUSTOM_SERVERS_STORAGE_KEY) || '[]');
+        if (!Array.isArray(entries)) return [];
+        return entries.filter(entry => {
+            const problems = validateServer(entry);
+            if (problems.length > 0) console.error(`Ignoring saved server ${entry && entry.name}:`, problems.join('; '));
+            return problems.length === 0;
+        });
+    } catch (error) {
+        console.error('Could not read custom servers:', error);
+        return [];
+    }
+}
+
+export function saveCustomServers(entries) {
+    const store = storage();
+    if (store) store.setItem(CUSTOM_SERVERS_STORAGE_KEY, JSON.stringify(entries));
+    return entries;
+}
+
+// Problems with a new or edited entry, including a name clash with any other server.
+export function customServerProblems(entry, takenNames) {
+    const problems = validateServer(entry);
+    if (typeof entry.name === 'string' && takenNames.includes(entry.name.trim())) problems.push(`a server named "${entry.name.trim()}" already exists`);
+    return problems;
+}
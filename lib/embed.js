@@ -0,0 +1,108 @@
+// lib/embed.js
+// postMessage protocol of the embeddable widget (pages/embed.js). The widget is loaded in
+// an iframe at EMBED_PATH, configured by query parameters, reports progress and results
+// to the parent window and accepts start/stop commands from it. See "Embedding" in the
+// README for the message reference; public/speedtest-embed.js wraps it for host pages.
+import { profileFromQuery, profileSettings, DEFAULT_PROFILE_KEY, TEST_PROFILES } from './profiles.js';
+
+export const EMBED_PATH = '/embed';
+// Every message in either direction carries this tag and version, so the parent can tell
+// them apart from other postMessage traffic.
+export const EMBED_PROTOCOL = 'speedtest-embed';
+export const EMBED_PROTOCOL_VERSION = 1;
+
+// Messages the widget sends, and commands it accepts.
+export const EMBED_EVENTS = ['ready', 'started', 'progress', 'result', 'done', 'error'];
+export const EMBED_COMMANDS = ['start', 'stop'];
+
+// postMessage() throws on a target that is not an origin, e.g. 'example.com' or one with a path
+const isOrigin = (value) => {
+    try {
+        return new URL(value).origin === value;
+    } catch {
+        return false;
+    }
+};
+
+const splitList = (value) => (typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+
+// Picks servers by name. Returns { servers, unknown }; no names means every server.
+function pickServers(names, servers) {
+    if (names.length === 0) return { servers, unknown: [] };
+    return {
+        servers: servers.filter(s => names.includes(s.name)),
+        unknown: names.filter(name => !servers.some(s => s.name === name)),
+    };
+}
+
+// Test settings named by a command or query: a preset name, or a partial settings object
+// on top of the standard profile (the same fields and units as lib/profiles.js).
+function settingsFrom(profile) {
+    if (typeof profile === 'string') return TEST_PROFILES.some(p => p.key === profile) ? { ...profileSettings(profile) } : null;
+    if (profile && typeof profile === 'object') {
+        const fields = Object.fromEntries(Object.entries(profile).map(([key, value]) => [key, String(value)]));
+        return profileFromQuery({ ...fields, profile: 'custom' });
+    }
+    return null;
+}
+
+// Widget configuration from its query string:
+//   servers   comma-separated server names (default: every registry server)
+//   profile   quick, standard, thorough or custom, with the custom fields of lib/profiles.js
+//   autostart 1 to start as soon as the servers are loaded
+//   origin    the host page's origin; messages are sent only to it and commands accepted
+//             only from it. Without it the widget neither posts messages nor accepts
+//             commands, so results never reach a page that was not named.
+// Returns { servers, unknown, settings, autostart, parentOrigin }.
+export function parseEmbedQuery(query, servers) {
+    return {
+        ...pickServers(splitList(query.servers), servers),
+        settings: profileFromQuery(query) || { ...profileSettings(DEFAULT_PROFILE_KEY) },
+        autostart: query.autostart === '1' || query.autostart === 'true',
+        parentOrigin: typeof query.origin === 'string' && isOrigin(query.origin) ? query.origin : null,
+    };
+}
+
+// Validates a command received from the parent. Returns { type, servers, settings } with
+// servers and settings null when the command does not override them, or { error } for a
+// malformed command. Messages of other protocols return null and are ignored.
+//   { protocol: 'speedtest-embed', type: 'start', servers?: ['name', ...], profile?: 'quick' | { pings: 5, ... } }
+//   { protocol: 'speedtest-embed', type: 'stop' }
+export function parseEmbedCommand(data, servers) {
+    if (!data || typeof data !== 'object' || data.protocol !== EMBED_PROTOCOL) return null;
+    if (!EMBED_COMMANDS.includes(data.type)) return { error: `unknown command "${data.type}"; expected ${EMBED_COMMANDS.join(' or ')}` };
+    if (data.type === 'stop') return { type: 'stop', servers: null, settings: null };
+
+    let picked = null;
+    if (data.servers !== undefined) {
+        if (!Array.isArray(data.servers) || !data.servers.every(name => typeof name === 'string')) return { error: '"servers" must be an array of server names' };
+        picked = pickServers(data.servers, servers);
+        if (picked.unknown.length > 0) return { error: `unknown server${picked.unknown.length === 1 ? '' : 's'}: ${picked.unknown.join(', ')}` };
+    }
+    const settings = data.profile === undefined ? null : settingsFrom(data.profile);
+    if (data.profile !== undefined && !settings) return { error: `unknown profile "${data.profile}"` };
+    return { type: 'start', servers: picked ? picked.servers : null, settings };
+}
+
+// Connects the widget to its parent window. Sends { protocol, version, type, ...payload }
+// with post(type, payload); onCommand receives each message from the parent at
+// parentOrigin. Without parentOrigin there is no channel: post() does nothing and no
+// commands are received, since any site could otherwise frame the widget, start tests
+// and read the results. Returns { post, close }.
+export function connectToParent({ parentOrigin = null, onCommand }) {
+    const parent = parentOrigin && typeof window !== 'undefined' && window.parent !== window ? window.parent : null;
+    const post = (type, payload = {}) => {
+        if (parent) parent.postMessage({ protocol: EMBED_PROTOCOL, version: EMBED_PROTOCOL_VERSION, type, ...payload }, parentOrigin);
+    };
+    const listener = (event) => {
+        if (event.source !== parent || event.origin !== parentOrigin) return;
+        onCommand(event.data);
+    };
+    if (parent) window.addEventListener('message', listener);
+    return {
+        post,
+        close: () => {
+            if (parent) window.removeEventListener('message', listener);
+        },
+    };
+}
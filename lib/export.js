@@ -0,0 +1,242 @@
+// lib/export.js
+// JSON and CSV export of test runs, and validation of imported JSON files.
+import { RESPONSIVENESS_GRADES } from './stats.js';
+
+export const EXPORT_FORMAT = 'speedtest-results';
+export const EXPORT_VERSION = 1;
+
+export function buildJsonExport({ run, history = [] }) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        run,
+        history,
+    }, null, 2);
+}
+
+const CSV_COLUMNS = [
+    ['run_id', ({ run }) => run.id],
+    ['finished_at', ({ run }) => (run.finishedAt ? new Date(run.finishedAt).toISOString() : '')],
+    ['server', ({ result }) => result.name],
+    ['status', ({ result }) => result.status],
+    ['ping_url', ({ server }) => server?.pingUrl],
+    ['download_url', ({ server }) => server?.downloadUrl],
+    ['upload_url', ({ server }) => server?.uploadUrl],
+    ['streams', ({ result }) => result.testConfig?.streams],
+    ['download_request_bytes', ({ result }) => result.testConfig?.downloadRequestBytes],
+    ['upload_chunk_bytes', ({ result }) => result.testConfig?.uploadChunkBytes],
+    ['ping_ms', ({ result }) => result.ping],
+    ['ping_min_ms', ({ result }) => result.pingStats?.min],
+    ['ping_median_ms', ({ result }) => result.pingStats?.median],
+    ['ping_p95_ms', ({ result }) => result.pingStats?.p95],
+    ['ping_max_ms', ({ result }) => result.pingStats?.max],
+    ['jitter_ms', ({ result }) => result.pingStats?.jitter],
+    ['loss_pct', ({ result }) => result.pingStats?.lossPct],
+    ['download_mbps', ({ result }) => result.download],
+    ['download_bytes', ({ result }) => result.downloadStats?.bytes],
+    ['download_duration_ms', ({ result }) => result.downloadStats?.durationMs],
+    ['upload_mbps', ({ result }) => result.upload],
+    ['upload_bytes', ({ result }) => result.uploadStats?.bytes],
+    ['upload_duration_ms', ({ result }) => result.uploadStats?.durationMs],
+    ['upload_server_mbps', ({ result }) => result.uploadStats?.server?.mbps],
+    ['upload_server_bytes', ({ result }) => result.uploadStats?.server?.bytes],
+    ['upload_truncated_chunks', ({ result }) => result.uploadStats?.server?.truncatedChunks],
+    ['loaded_download_median_ms', ({ result }) => result.loadedLatency?.download?.median],
+    ['loaded_upload_median_ms', ({ result }) => result.loadedLatency?.upload?.median],
+    ['client_ip', ({ result }) => result.meta?.ip],
+    ['client_country', ({ result }) => result.meta?.country],
+    ['client_asn', ({ result }) => result.meta?.asn],
+    ['client_isp', ({ result }) => result.meta?.isp],
+    ['colo', ({ result }) => result.meta?.colo],
+    ['http_protocol', ({ result }) => result.meta?.protocol],
+    ['warmup_ms', ({ result }) => result.timings?.warmup?.durationMs],
+    ['warmup_dns_ms', ({ result }) => result.timings?.warmup?.dns],
+    ['warmup_connect_ms', ({ result }) => result.timings?.warmup?.connect],
+    ['warmup_tls_ms', ({ result }) => result.timings?.warmup?.tls],
+    ['warmup_ttfb_ms', ({ result }) => result.timings?.warmup?.ttfb],
+    ['ping_ttfb_median_ms', ({ result }) => result.timings?.ping?.ttfb],
+    ['download_ttfb_ms', ({ result }) => result.timings?.download?.ttfb],
+    ['upload_ttfb_ms', ({ result }) => result.timings?.upload?.ttfb],
+    ['bufferbloat_grade', ({ result }) => result.responsiveness?.grade],
+    ['rpm', ({ result }) => result.responsiveness?.rpm],
+    // Raw samples, semicolon separated (empty entries are lost pings)
+    ['ping_samples_ms', ({ result }) => result.pingStats?.samples?.map(v => (v === null ? '' : v.toFixed(1))).join(';')],
+    ['download_samples_mbps', ({ result }) => result.downloadStats?.samples?.map(s => s.mbps.toFixed(2)).join(';')],
+    ['upload_samples_mbps', ({ result }) => result.uploadStats?.samples?.map(s => s.mbps.toFixed(2)).join(';')],
+];
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per server per run; the current run comes first, followed by any history.
+export function buildCsvExport({ run, history = [] }) {
+    const runs = [run, ...history.filter(r => r.id !== run.id)];
+    const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    runs.forEach(r => {
+        r.results.forEach(result => {
+            const server = (r.servers || []).find(s => s.name === result.name);
+            rows.push(CSV_COLUMNS.map(([, get]) => csvCell(get({ run: r, result, server }))).join(','));
+        });
+    });
+    return rows.join('\r\n') + '\r\n';
+}
+
+// --- IMPORT SCHEMA ---
+// Imported files are made by anyone, so every field the results table, charts, CSV export
+// and history read is checked before a run is used. Measurements are a number in range, a
+// numeric string (as the table stores them) or one of the table's placeholders.
+const MAX_TEXT_LENGTH = 1000;
+const MAX_MS = 10 * 60 * 1000;
+const MAX_MBPS = 1000 * 1000;
+const PLACEHOLDERS = ['--', 'ERR', 'Disabled'];
+const STATUSES = ['pending', 'testing', 'complete', 'error', 'cancelled'];
+const GRADES = RESPONSIVENESS_GRADES.map(g => g.grade);
+
+const isText = (value) => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+const isName = (value) => isText(value) && value.length > 0;
+const isBoolean = (value) => typeof value === 'boolean';
+const isCount = (value) => Number.isSafeInteger(value) && value >= 0;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const inRange = (max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+const optional = (check) => (value) => value === null || value === undefined || check(value);
+const isMeasurement = (max) => (value) => inRange(max)(value) || PLACEHOLDERS.includes(value)
+    || (typeof value === 'string' && /^\d{1,9}(\.\d{1,6})?$/.test(value) && parseFloat(value) <= max);
+const isTimestamp = (value) => Number.isSafeInteger(value) && value > 0 && Number.isFinite(new Date(value).getTime());
+const arrayOf = (check) => (value) => Array.isArray(value) && value.every(check);
+// An object whose listed fields pass their checks; fields not listed are not read by the page
+const shape = (checks) => (value) => isObject(value) && Object.entries(checks).every(([field, check]) => check(value[field]));
+
+const isPingStats = shape({
+    sent: optional(isCount),
+    received: optional(isCount),
+    lossPct: optional(inRange(100)),
+    avg: optional(inRange(MAX_MS)),
+    min: optional(inRange(MAX_MS)),
+    median: optional(inRange(MAX_MS)),
+    p95: optional(inRange(MAX_MS)),
+    max: optional(inRange(MAX_MS)),
+    jitter: optional(inRange(MAX_MS)),
+    samples: optional(arrayOf(optional(inRange(MAX_MS)))),
+});
+
+const isThroughputStats = shape({
+    bytes: optional(isCount),
+    durationMs: optional(inRange(MAX_MS)),
+    warmupMs: optional(inRange(MAX_MS)),
+    stoppedBy: optional(isText),
+    samples: optional(arrayOf(shape({ t: inRange(MAX_MS), mbps: inRange(MAX_MBPS), bytes: optional(isCount), warmup: optional(isBoolean) }))),
+    server: optional(shape({ mbps: inRange(MAX_MBPS), bytes: optional(isCount), chunks: optional(isCount), truncatedChunks: optional(isCount), missingBytes: optional(isCount) })),
+});
+
+const isTiming = shape({
+    dns: optional(inRange(MAX_MS)),
+    connect: optional(inRange(MAX_MS)),
+    tls: optional(inRange(MAX_MS)),
+    ttfb: optional(inRange(MAX_MS)),
+    transfer: optional(inRange(MAX_MS)),
+    total: optional(inRange(MAX_MS)),
+    durationMs: optional(inRange(MAX_MS)),
+    reused: optional(isBoolean),
+    restricted: optional(isBoolean),
+    protocol: optional(isText),
+});
+
+const IMPORTED_RESULT_CHECKS = {
+    name: isName,
+    status: optional(value => STATUSES.includes(value)),
+    ping: isMeasurement(MAX_MS),
+    download: isMeasurement(MAX_MBPS),
+    upload: isMeasurement(MAX_MBPS),
+    testConfig: optional(shape({ streams: optional(isCount), downloadRequestBytes: optional(isCount), uploadChunkBytes: optional(isCount) })),
+    pingStats: optional(isPingStats),
+    downloadStats: optional(isThroughputStats),
+    uploadStats: optional(isThroughputStats),
+    loadedLatency: optional(shape({ download: optional(isPingStats), upload: optional(isPingStats) })),
+    responsiveness: optional(shape({ grade: value => GRADES.includes(value), increaseMs: optional(inRange(MAX_MS)), rpm: optional(isCount) })),
+    meta: optional(shape({
+        ip: optional(isText),
+        city: optional(isText),
+        country: optional(isText),
+        asn: optional(value => isCount(value) || isText(value)),
+        isp: optional(isText),
+        colo: optional(isText),
+        protocol: optional(isText),
+        tlsVersion: optional(isText),
+    })),
+    timings: optional(shape({ warmup: optional(isTiming), ping: optional(isTiming), download: optional(isTiming), upload: optional(isTiming) })),
+    errors: optional(value => isObject(value) && Object.values(value).every(isText)),
+};
+
+const IMPORTED_RUN_CHECKS = {
+    id: isName,
+    finishedAt: isTimestamp,
+    startedAt: optional(isTimestamp),
+    trigger: optional(isText),
+    imported: optional(isBoolean),
+    serverNames: optional(arrayOf(isName)),
+    settings: optional(isObject),
+    servers: optional(arrayOf(shape({
+        name: isName,
+        provider: optional(isText),
+        region: optional(isText),
+        pingUrl: optional(isText),
+        downloadUrl: optional(isText),
+        uploadUrl: optional(isText),
+    }))),
+    results: Array.isArray,
+};
+
+// Only the checked fields are kept, so nothing unchecked reaches the page or history
+const pickFields = (value, checks) => Object.fromEntries(Object.keys(checks).filter(field => value[field] !== undefined).map(field => [field, value[field]]));
+
+// The first field of `run` that fails its check ('finishedAt', 'results[2].pingStats'), or null.
+export function findRunProblem(run) {
+    if (!isObject(run)) return 'run';
+    const field = Object.keys(IMPORTED_RUN_CHECKS).find(f => !IMPORTED_RUN_CHECKS[f](run[f]));
+    if (field) return field;
+    for (const [index, result] of run.results.entries()) {
+        if (!isObject(result)) return `results[${index}]`;
+        const resultField = Object.keys(IMPORTED_RESULT_CHECKS).find(f => !IMPORTED_RESULT_CHECKS[f](result[f]));
+        if (resultField) return `results[${index}].${resultField}`;
+    }
+    return null;
+}
+
+// A copy of `run` holding only checked fields, or null when any of them is invalid.
+export function sanitizeRun(run) {
+    if (findRunProblem(run) !== null) return null;
+    return { ...pickFields(run, IMPORTED_RUN_CHECKS), results: run.results.map(r => pickFields(r, IMPORTED_RESULT_CHECKS)) };
+}
+
+// Parses a file produced by buildJsonExport(); throws with a readable message otherwise.
+// Returns { run, history }; history runs that fail validation are left out.
+export function parseJsonImport(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch {
+        throw new Error('File is not valid JSON.');
+    }
+    if (!doc || doc.format !== EXPORT_FORMAT) throw new Error('File is not a speedtest results export.');
+    if (doc.version !== EXPORT_VERSION) throw new Error(`Unsupported export version ${doc.version}.`);
+    const problem = findRunProblem(doc.run);
+    if (problem !== null) throw new Error(`Export does not contain a valid run (invalid ${problem}).`);
+    const history = Array.isArray(doc.history) ? doc.history.map(sanitizeRun).filter(Boolean) : [];
+    return { run: sanitizeRun(doc.run), history };
+}
+
+// Triggers a browser download of `content`.
+export function saveFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,40 @@
+// lib/fileResultStore.js
+// Node-only result store (see lib/resultStore.js) that appends records to a JSON Lines file,
+// so collected results survive restarts of server.js. The file is read once, on first use.
+// Lines that do not parse are skipped, so a partially written last line is harmless. The file
+// keeps every record; only the newest `limit` are held in memory and served.
+import { readFile, appendFile } from 'node:fs/promises';
+import { DEFAULT_RESULT_LIMIT } from './resultStore.js';
+
+export function createFileResultStore(path, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+    let loaded = null;
+    // Appends are chained so concurrent submissions never interleave within a line
+    let writes = Promise.resolve();
+
+    const load = () => {
+        loaded = loaded || readFile(path, 'utf8').then(text => text.split('\n').flatMap(line => {
+            try {
+                return line.trim() ? [JSON.parse(line)] : [];
+            } catch {
+                return [];
+            }
+        })).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        return loaded;
+    };
+
+    return {
+        async add(added) {
+            const records = await load();
+            records.push(...added);
+            records.splice(0, Math.max(0, records.length - limit));
+            writes = writes.catch(() => {}).then(() => appendFile(path, added.map(r => `${JSON.stringify(r)}\n`).join('')));
+            await writes;
+        },
+        async list({ since = 0 } = {}) {
+            return (await load()).filter(r => r.at >= since);
+        },
+    };
+}
@@ -0,0 +1,83 @@
+// lib/history.js
+// Completed runs persisted in localStorage, newest first. Only the most recent
+// HISTORY_LIMIT runs are kept; older ones are dropped when saving (and on quota errors).
+// Runs are checked with the import schema on load, so a damaged entry cannot break the page.
+import { sanitizeRun } from './export.js';
+
+export const HISTORY_STORAGE_KEY = 'speedtest.history.v1';
+export const HISTORY_LIMIT = 50;
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+export function loadHistory() {
+    const store = storage();
+    if (!store) return [];
+    try {
+        const runs = JSON.parse(store.getItem(HISTORY_STORAGE_KEY) || '[]');
+        return Array.isArray(runs) ? runs.map(sanitizeRun).filter(Boolean) : [];
+    } catch (error) {
+        console.error('Could not read result history:', error);
+        return [];
+    }
+}
+
+// Writes runs, dropping the oldest ones until they fit the storage quota. Returns what was kept.
+function writeHistory(runs) {
+    const store = storage();
+    if (!store) return runs;
+    let kept = runs.slice(0, HISTORY_LIMIT);
+    while (kept.length > 0) {
+        try {
+            store.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+            return kept;
+        } catch (error) {
+            console.warn(`Result history exceeds storage quota, dropping oldest of ${kept.length} runs.`);
+            kept = kept.slice(0, -1);
+        }
+    }
+    store.removeItem(HISTORY_STORAGE_KEY);
+    return kept;
+}
+
+export function createRunId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function saveRun(run) {
+    return writeHistory([run, ...loadHistory().filter(r => r.id !== run.id)]);
+}
+
+// Adds imported runs to the history, keeping it newest first. A run already saved is replaced.
+export function importRuns(runs) {
+    const unique = runs.filter((run, i) => runs.findIndex(r => r.id === run.id) === i);
+    const ids = new Set(unique.map(r => r.id));
+    return writeHistory([...unique, ...loadHistory().filter(r => !ids.has(r.id))].sort((a, b) => b.finishedAt - a.finishedAt));
+}
+
+export function deleteRun(id) {
+    return writeHistory(loadHistory().filter(r => r.id !== id));
+}
+
+export function clearHistory() {
+    return writeHistory([]);
+}
+
+// Numeric value of a result cell, or null for '--', 'ERR', 'Disabled' and friends.
+export function metricValue(result, metric) {
+    if (!result) return null;
+    const value = parseFloat(result[metric]);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Per-server time series for one metric, oldest first: { [serverName]: [{ t, value }] }.
+export function seriesByServer(runs, metric) {
+    const series = {};
+    [...runs].reverse().forEach(run => {
+        run.results.forEach(result => {
+            const value = metricValue(result, metric);
+            if (value === null) return;
+            (series[result.name] = series[result.name] || []).push({ t: run.finishedAt, value });
+        });
+    });
+    return series;
+}
@@ -0,0 +1,40 @@
+// lib/http.js
+// Response headers and method handling shared by every handler in functions/api, so CORS,
+// caching and preflight behave the same on each endpoint and deployment target.
+
+export const CORS_ALLOW_HEADERS = 'X-Requested-With, Content-Type, Authorization, Range';
+
+// Measurements must never be answered from a browser or CDN cache.
+export const NO_STORE_HEADERS = {
+    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    'Surrogate-Control': 'no-store',
+};
+
+// Timing-Allow-Origin lets the page read the DNS/connect/TLS/TTFB phases of each request
+// from Resource Timing; without it cross-origin entries only carry the total duration.
+export function corsHeaders(methods) {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': CORS_ALLOW_HEADERS,
+        'Timing-Allow-Origin': '*',
+    };
+}
+
+export function jsonResponse(body, status, headers) {
+    return new Response(JSON.stringify(body), { status, headers: { ...headers, 'Content-Type': 'application/json' } });
+}
+
+// Answers OPTIONS preflights (204) and methods outside `methods` (405 with Allow). Returns
+// null when the handler should process the request itself.
+export function handleMethod(req, methods) {
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: { ...corsHeaders(methods), 'Access-Control-Max-Age': '86400' } });
+    }
+    if (!methods.includes(req.method)) {
+        return jsonResponse({ message: `Method ${req.method} Not Allowed` }, 405, { ...corsHeaders(methods), 'Allow': methods.join(', ') });
+    }
+    return null;
+}
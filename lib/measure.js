@@ -0,0 +1,578 @@
+// lib/measure.js
+// Framework-free measurement engine shared by the page (pages/index.js) and the
+// CLI (bin/speedtest.mjs). Everything here only needs fetch, AbortController and
+// performance. Uploads stream a fetch body where the platform and host allow it (Node,
+// Chromium over HTTP/2+), and fall back to XMLHttpRequest with a Blob body.
+import { createThroughputMeter } from './throughput.js';
+import { summarizePings, gradeResponsiveness } from './stats.js';
+import { readResourceTiming, medianTiming, clearResourceTimings } from './timing.js';
+import { loadUploadPool, createUploadStream, createUploadBlob, supportsRequestStreams } from './uploadPayload.js';
+
+export const DEFAULT_TEST_OPTIONS = {
+    pingCount: 10,
+    pingTimeoutMs: 2000,
+    pingIntervalMs: 200,
+    loadedPingIntervalMs: 250,                       // Gap between pings of the loaded-latency probe
+    testDurationMs: 10000,                           // Download/upload phases are time-boxed
+    downloadRequestBytes: 25 * 1024 * 1024,          // Re-requested if a host ends the stream early
+    uploadChunkBytes: 8 * 1024 * 1024,               // Each stream posts chunks back to back
+    streams: 1,
+    requestTimeoutMs: 30000,                         // Warm-up, response headers and stalled transfers; generous for cold starts
+    maxPhaseBytes: null,                             // Data cap per download/upload phase; null for none
+    stableTolerance: 0.03,                           // A phase may stop early once its rate is this flat
+};
+
+const TIMING_REQUEST_BYTES = 64 * 1024; // Size of the request timed before each transfer phase
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Cancellation and timeouts ---
+// Thrown when a test is stopped through its AbortSignal; callers should not record it as a failure.
+export class TestAbortedError extends Error {
+    constructor(message = 'Test was stopped.') {
+        super(message);
+        this.name = 'TestAbortedError';
+    }
+}
+
+// Thrown when a request or transfer makes no progress within the configured timeout.
+export class TestTimeoutError extends Error {
+    constructor(what, timeoutMs) {
+        super(`${what} timed out after ${timeoutMs}ms`);
+        this.name = 'TestTimeoutError';
+    }
+}
+
+const throwIfAborted = (signal) => {
+    if (signal?.aborted) throw new TestAbortedError();
+};
+
+// Forwards an abort from `signal` (if any) to `controller`; returns the unsubscribe function.
+function linkSignal(signal, controller) {
+    if (!signal) return () => {};
+    if (signal.aborted) controller.abort();
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort);
+    return () => signal.removeEventListener('abort', abort);
+}
+
+// fetch() that gives up (TestTimeoutError) when no response arrives within timeoutMs, and
+// stops (TestAbortedError) when `signal` aborts. Only for requests whose body is ignored or
+// tiny: the link to `signal` is dropped once the headers arrive.
+async function fetchWithTimeout(url, init, { timeoutMs, signal, label }) {
+    const controller = new AbortController();
+    const unlink = linkSignal(signal, controller);
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) throw new TestTimeoutError(label, timeoutMs);
+        if (signal?.aborted) throw new TestAbortedError();
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        unlink();
+    }
+}
+
+// Rejects with a TestTimeoutError if `promise` has not settled within timeoutMs.
+function withTimeout(promise, timeoutMs, label) {
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new TestTimeoutError(label, timeoutMs)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+// --- Resource Timing ---
+// Reads a tiny response body to the end so the request completes and gets a timing entry.
+const drainBody = (response) => response.arrayBuffer().catch(() => null);
+
+// Entries appear once a response has fully ended, which can be just after fetch() resolves.
+async function collectTimings(urls) {
+    let timings = urls.map(readResourceTiming);
+    if (timings.some(t => t === null) && globalThis.performance?.getEntriesByName) {
+        await sleep(100);
+        timings = urls.map(readResourceTiming);
+    }
+    return timings;
+}
+
+// Times one small request to an endpoint for its DNS/connect/TLS/TTFB breakdown. Throughput
+// requests are cancelled mid-body, which browsers do not reliably record, so each transfer
+// phase gets this dedicated request instead. Resolves with null on failure; timing never
+// fails a test.
+async function timeRequest(url, init, { timeoutMs, signal }) {
+    try {
+        const response = await fetchWithTimeout(url, { ...init, cache: 'no-store' }, { timeoutMs, signal, label: 'Timing request' });
+        await response.arrayBuffer();
+        const [timing] = await collectTimings([url]);
+        return timing;
+    } catch (error) {
+        if (error instanceof TestAbortedError) throw error;
+        return null;
+    }
+}
+
+// --- Ping ---
+// Besides the ping statistics, resolves with `warmup` ({ durationMs, timing }) for the first,
+// usually cold, request and `timing`, the median Resource Timing breakdown of the pings.
+// Every request has its own URL so its timing entry can be found.
+export async function measurePing(pingUrl, onProgress = () => {}, { count = DEFAULT_TEST_OPTIONS.pingCount, timeoutMs = DEFAULT_TEST_OPTIONS.pingTimeoutMs, intervalMs = DEFAULT_TEST_OPTIONS.pingIntervalMs, requestTimeoutMs = DEFAULT_TEST_OPTIONS.requestTimeoutMs, signal } = {}) {
+    let pings = [];
+    const pingProgressIncrement = 100 / count;
+    const stamp = Date.now();
+    // Warm up the server (cold-start hosts can take a while, hence the longer timeout). Its
+    // time is reported separately: it includes DNS, connection setup and any cold start.
+    const warmupUrl = `${pingUrl}?warmup=${stamp}`;
+    const warmupStart = performance.now();
+    const warmup = await fetchWithTimeout(warmupUrl, { method: 'GET', cache: 'no-store' }, { timeoutMs: requestTimeoutMs, signal, label: 'Warm-up request' });
+    const warmupMs = performance.now() - warmupStart;
+    await drainBody(warmup);
+    const pingUrls = [];
+    for (let i = 0; i < count; i++) {
+        const url = `${pingUrl}?seq=${i}&t=${stamp}`;
+        pingUrls.push(url);
+        const startTime = performance.now();
+        try {
+            const response = await fetchWithTimeout(url, { method: 'GET', cache: 'no-store' }, { timeoutMs, signal, label: 'Ping' });
+            const endTime = performance.now();
+            pings.push(endTime - startTime);
+            await drainBody(response);
+        } catch (error) {
+            if (error instanceof TestAbortedError) throw error;
+            pings.push(null);
+        }
+        onProgress((i + 1) * pingProgressIncrement);
+        if (i < count - 1) await sleep(intervalMs);
+    }
+    // Lost probes stay in the sample list as null so they count towards packet loss
+    const stats = summarizePings(pings);
+    if (stats.received === 0) throw new Error('Ping test failed for all attempts.');
+    const [warmupTiming, ...pingTimings] = await collectTimings([warmupUrl, ...pingUrls]);
+    return { ...stats, warmup: { durationMs: Math.round(warmupMs), timing: warmupTiming }, timing: medianTiming(pingTimings) };
+}
+
+// --- Connection metadata ---
+// What /api/meta saw of this client (IP, country, ASN, serving colo, HTTP protocol). The
+// protocol falls back to the browser's Resource Timing entry when the host does not know it.
+// Resolves with null for hosts without the endpoint; metadata never fails a test.
+export async function fetchServerMeta(metaUrl, { timeoutMs = DEFAULT_TEST_OPTIONS.pingTimeoutMs, signal } = {}) {
+    const url = `${metaUrl}?t=${Date.now()}`;
+    try {
+        const response = await fetchWithTimeout(url, { cache: 'no-store' }, { timeoutMs, signal, label: 'Metadata request' });
+        if (!response.ok) return null;
+        const meta = await response.json();
+        const timing = globalThis.performance?.getEntriesByName?.(url)?.[0];
+        return { ...meta, protocol: meta.protocol || timing?.nextHopProtocol || null };
+    } catch (error) {
+        if (error instanceof TestAbortedError) throw error;
+        return null;
+    }
+}
+
+// Pings continuously until stop() is called, e.g. while a transfer saturates the link.
+// stop() aborts the in-flight probe and resolves with the collected ping statistics.
+export function startLatencyProbe(pingUrl, { timeoutMs = DEFAULT_TEST_OPTIONS.pingTimeoutMs, intervalMs = DEFAULT_TEST_OPTIONS.loadedPingIntervalMs } = {}) {
+    const samples = [];
+    let active = true;
+    let controller = null;
+
+    const loop = (async () => {
+        while (active) {
+            controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            const startTime = performance.now();
+            try {
+                await fetch(`${pingUrl}`, { method: 'GET', cache: 'no-store', signal: controller.signal });
+                samples.push(performance.now() - startTime);
+            } catch (error) {
+                // A probe cut short by stop() is not a lost packet
+                if (active) samples.push(null);
+            } finally {
+                clearTimeout(timeoutId);
+            }
+            if (active) await sleep(intervalMs);
+        }
+    })();
+
+    return {
+        stop: async () => {
+            active = false;
+            if (controller) controller.abort();
+            await loop;
+            return summarizePings(samples);
+        },
+    };
+}
+
+// --- Download ---
+// Runs `streams` concurrent streaming fetches for durationMs (or until the rate
+// settles) and resolves with the aggregate post-warm-up throughput. onSample receives
+// each meter sample ({ t, bytes, mbps, warmup }) as it is taken.
+export async function measureDownload(downloadUrl, requestSize, onProgress = () => {}, { streams = 1, durationMs = DEFAULT_TEST_OPTIONS.testDurationMs, timeoutMs = DEFAULT_TEST_OPTIONS.requestTimeoutMs, maxBytes = DEFAULT_TEST_OPTIONS.maxPhaseBytes, stableTolerance = DEFAULT_TEST_OPTIONS.stableTolerance, signal, onSample = () => {} } = {}) {
+    throwIfAborted(signal);
+    const meter = createThroughputMeter({ durationMs, maxBytes, stableTolerance });
+    const done = meter.run((sample, progress) => {
+        onProgress(progress);
+        onSample(sample);
+    });
+    const controller = new AbortController();
+    const stop = () => meter.fail(new TestAbortedError());
+    signal?.addEventListener('abort', stop);
+
+    // Each stream keeps reading until the meter stops it; a response that ends on its own
+    // (e.g. a host still running the fixed-size endpoint) is simply requested again.
+    const runStream = async () => {
+        while (!meter.finished) {
+            const request = fetch(`${downloadUrl}?size=${requestSize}&stream=1&r=${Math.random()}&t=${Date.now()}`, { cache: 'no-store', signal: controller.signal });
+            const response = await withTimeout(request, timeoutMs, 'Download request');
+            if (!response.ok || !response.body) throw new Error(`Server error: ${response.status} ${response.statusText}`);
+
+            const reader = response.body.getReader();
+            while (true) {
+                const { done, value } = await withTimeout(reader.read(), timeoutMs, 'Download (no data received)');
+                if (done) break;
+                meter.addBytes(value.length);
+            }
+        }
+    };
+    const transfers = Array.from({ length: streams }, () => runStream().catch(error => {
+        if (!meter.finished) meter.fail(error);
+    }));
+
+    try {
+        const result = await done;
+        if (result.bytes === 0) throw new Error('Download failed (no data received)');
+        onProgress(100);
+        return result;
+    } catch (error) {
+        onProgress(0);
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', stop);
+        controller.abort();
+        await Promise.all(transfers);
+    }
+}
+
+// --- Upload ---
+// /api/upload replies with what it actually received ({ bytes, durationMs }); older
+// deployments only send a message, in which case there is no receipt.
+function parseUploadReceipt(text) {
+    try {
+        const receipt = JSON.parse(text);
+        return Number.isInteger(receipt.bytes) && typeof receipt.durationMs === 'number' ? receipt : null;
+    } catch {
+        return null;
+    }
+}
+
+const uploadStatusError = (status, size) => new Error(status === 413
+    ? `Server rejected a ${size} byte upload (413 Payload Too Large)`
+    : `Server responded with status: ${status}`);
+
+// XHR transport: progress events report bytes actually handed to the network. `body` is
+// a Blob from createUploadBlob(), shared by every request of the phase.
+function postChunkXhr(uploadUrl, body, meter, signal, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        let loaded = 0;
+        let timedOut = false;
+        let stallTimer = null;
+        // Stall watchdog: restarted by every progress event
+        const kick = () => {
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => {
+                timedOut = true;
+                xhr.abort();
+            }, timeoutMs);
+        };
+        const abort = () => xhr.abort();
+        signal.addEventListener('abort', abort);
+        const cleanup = () => {
+            clearTimeout(stallTimer);
+            signal.removeEventListener('abort', abort);
+        };
+
+        xhr.open('POST', `${uploadUrl}`, true);
+        xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+
+        xhr.upload.onprogress = (event) => {
+            kick();
+            meter.addBytes(event.loaded - loaded);
+            loaded = event.loaded;
+        };
+
+        xhr.onload = () => {
+            cleanup();
+            if (xhr.status >= 200 && xhr.status < 300) {
+                // Progress events are throttled, so credit whatever was sent after the last one
+                meter.addBytes(body.size - loaded);
+                resolve(parseUploadReceipt(xhr.responseText));
+            } else {
+                reject(uploadStatusError(xhr.status, body.size));
+            }
+        };
+
+        xhr.onerror = () => { cleanup(); reject(new Error(`Upload failed due to a network error.`)); };
+        xhr.onabort = () => { cleanup(); reject(timedOut ? new TestTimeoutError('Upload (no progress)', timeoutMs) : new Error('Upload test was aborted.')); };
+
+        kick();
+        xhr.send(body);
+    });
+}
+
+// Fetch transport: `size` bytes of the pool are streamed in small slices and counted as
+// the network stack pulls them.
+async function postChunkFetch(uploadUrl, pool, size, meter, signal, timeoutMs) {
+    const controller = new AbortController();
+    const unlink = linkSignal(signal, controller);
+    let timedOut = false;
+    let stallTimer = null;
+    // Stall watchdog: restarted whenever the network stack pulls more of the body
+    const kick = () => {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+    const body = createUploadStream(pool, size, (bytes) => {
+        kick();
+        meter.addBytes(bytes);
+    });
+    kick();
+    try {
+        const response = await fetch(`${uploadUrl}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body,
+            duplex: 'half',
+            cache: 'no-store',
+            signal: controller.signal,
+        });
+        const text = await response.text();
+        if (!response.ok) throw uploadStatusError(response.status, size);
+        return parseUploadReceipt(text);
+    } catch (error) {
+        if (timedOut) throw new TestTimeoutError('Upload (no progress)', timeoutMs);
+        throw error;
+    } finally {
+        clearTimeout(stallTimer);
+        unlink();
+    }
+}
+
+// Chromium only streams request bodies over HTTP/2 and later; against an HTTP/1.1 host the
+// request fails before anything is sent. One small streamed request per origin finds out,
+// and the answer is kept for the rest of the page's life.
+const streamingOrigins = new Map(); // origin → Promise<boolean>
+
+function canStreamTo(uploadUrl, pool, timeoutMs) {
+    if (typeof XMLHttpRequest === 'undefined') return Promise.resolve(true);
+    if (!supportsRequestStreams()) return Promise.resolve(false);
+    const { origin } = new URL(uploadUrl, globalThis.location?.href);
+    if (!streamingOrigins.has(origin)) {
+        const probe = fetchWithTimeout(`${uploadUrl}?t=${Date.now()}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: createUploadStream(pool, TIMING_REQUEST_BYTES),
+            duplex: 'half',
+            cache: 'no-store',
+        }, { timeoutMs, label: 'Streaming upload check' })
+            .then(response => drainBody(response).then(() => response.ok))
+            .catch(() => false);
+        streamingOrigins.set(origin, probe);
+    }
+    return streamingOrigins.get(origin);
+}
+
+// Streams upload concurrently, so the aggregate server rate is the sum of each stream's
+// rate (its bytes over its summed first-to-last-byte time).
+function summarizeReceipts(receipts) {
+    const reported = receipts.filter(r => r.chunks > 0);
+    if (reported.length === 0) return null;
+    const sum = (key) => reported.reduce((total, r) => total + r[key], 0);
+    return {
+        bytes: sum('bytes'),
+        chunks: sum('chunks'),
+        truncatedChunks: sum('truncated'),
+        missingBytes: sum('missingBytes'),
+        mbps: reported.reduce((total, r) => total + (r.durationMs > 0 ? (r.bytes * 8) / (r.durationMs / 1000) / (1000 * 1000) : 0), 0),
+    };
+}
+
+// Runs `streams` concurrent upload loops for durationMs (or until the rate settles)
+// and resolves with the aggregate post-warm-up throughput. `server` holds the
+// server-measured figures from the upload receipts, or null if the host sent none.
+// Bytes are counted as the body is sent (stream pulls or XHR progress events), so samples
+// are live as with downloads. Bodies come from the shared random pool (lib/uploadPayload.js).
+export async function measureUpload(uploadUrl, chunkSize, onProgress = () => {}, { streams = 1, durationMs = DEFAULT_TEST_OPTIONS.testDurationMs, timeoutMs = DEFAULT_TEST_OPTIONS.requestTimeoutMs, maxBytes = DEFAULT_TEST_OPTIONS.maxPhaseBytes, stableTolerance = DEFAULT_TEST_OPTIONS.stableTolerance, signal, onSample = () => {} } = {}) {
+    throwIfAborted(signal);
+    const pool = await loadUploadPool();
+    const streaming = await canStreamTo(uploadUrl, pool, timeoutMs);
+    throwIfAborted(signal);
+    const blob = streaming ? null : createUploadBlob(pool, chunkSize);
+    const postChunk = (chunkSignal) => (streaming
+        ? postChunkFetch(uploadUrl, pool, chunkSize, meter, chunkSignal, timeoutMs)
+        : postChunkXhr(uploadUrl, blob, meter, chunkSignal, timeoutMs));
+
+    const meter = createThroughputMeter({ durationMs, maxBytes, stableTolerance });
+    const done = meter.run((sample, progress) => {
+        onProgress(progress);
+        onSample(sample);
+    });
+    const controller = new AbortController();
+    const stop = () => meter.fail(new TestAbortedError());
+    signal?.addEventListener('abort', stop);
+    const receipts = Array.from({ length: streams }, () => ({ bytes: 0, durationMs: 0, chunks: 0, truncated: 0, missingBytes: 0 }));
+
+    const runStream = async (streamIndex) => {
+        const tally = receipts[streamIndex];
+        while (!meter.finished) {
+            const receipt = await postChunk(controller.signal);
+            if (!receipt) continue;
+            tally.chunks += 1;
+            tally.bytes += receipt.bytes;
+            tally.durationMs += receipt.durationMs;
+            if (receipt.bytes < chunkSize) {
+                tally.truncated += 1;
+                tally.missingBytes += chunkSize - receipt.bytes;
+            }
+        }
+    };
+    const transfers = Array.from({ length: streams }, (_, streamIndex) => runStream(streamIndex).catch(error => {
+        if (!meter.finished) meter.fail(error);
+    }));
+
+    try {
+        const result = await done;
+        if (result.bytes === 0) throw new Error('Upload failed (no data sent)');
+        onProgress(100);
+        return { ...result, server: summarizeReceipts(receipts) };
+    } catch (error) {
+        onProgress(0);
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', stop);
+        controller.abort();
+        await Promise.all(transfers);
+    }
+}
+
+// --- Full server test ---
+// Ping, then download and upload with a loaded-latency probe running alongside each
+// transfer. Hooks report progress to the caller:
+//   onStatus(message), onProgress(percent), onUpdate(partialResult), onError(phase, error),
+//   onSample(phase, sample) for every throughput sample of the download/upload phase
+// Resolves with the final result; a failed or timed-out phase is recorded as 'ERR'
+// rather than thrown. The full throughput curves stay in downloadStats/uploadStats.samples;
+// result.timings holds Resource Timing breakdowns (lib/timing.js) of the warm-up request,
+// the pings and one small request per transfer phase.
+// Aborting options.signal rejects with a TestAbortedError.
+export async function testServer(server, options = {}, hooks = {}) {
+    const opts = { ...DEFAULT_TEST_OPTIONS, ...options };
+    const { onStatus = () => {}, onProgress = () => {}, onUpdate = () => {}, onError = () => {}, onSample = () => {} } = hooks;
+    const { signal } = opts;
+
+    const streams = opts.streams;
+    const streamLabel = streams > 1 ? ` over ${streams} streams` : '';
+    // With a data cap, no single request is larger than the cap
+    const cap = opts.maxPhaseBytes ?? Infinity;
+    const testConfig = {
+        streams,
+        downloadRequestBytes: Math.min(opts.downloadRequestBytes, server.capabilities.maxDownload, cap),
+        uploadChunkBytes: Math.min(opts.uploadChunkBytes, server.capabilities.maxUpload, cap),
+    };
+    const result = { name: server.name, ping: '--', download: '--', upload: '--', status: 'testing', testConfig };
+    const update = (patch) => {
+        Object.assign(result, patch);
+        onUpdate(patch);
+    };
+    // A stop request is not a failure of the host: let it propagate instead of recording 'ERR'
+    const fail = (phase, error, patch) => {
+        if (signal?.aborted) throw new TestAbortedError();
+        onError(phase, error);
+        update({ ...patch, status: 'error', errors: { ...result.errors, [phase]: error.message } });
+    };
+    throwIfAborted(signal);
+    update({ status: 'testing', testConfig });
+    clearResourceTimings();
+    const timings = {}; // Resource Timing breakdowns: warmup, ping, download, upload
+
+    // Ping
+    onStatus(`Pinging ${server.name}...`);
+    let pingStats;
+    try {
+        const { warmup, timing, ...stats } = await measurePing(server.pingUrl, onProgress, { count: opts.pingCount, timeoutMs: opts.pingTimeoutMs, intervalMs: opts.pingIntervalMs, requestTimeoutMs: opts.requestTimeoutMs, signal });
+        pingStats = stats;
+        Object.assign(timings, { warmup: { ...warmup.timing, durationMs: warmup.durationMs }, ping: timing });
+        update({ ping: Math.round(pingStats.avg), pingStats, timings: { ...timings } });
+    } catch (error) {
+        fail('ping', error, { ping: 'ERR' });
+        return result; // Skip the transfers if the host cannot be reached
+    }
+
+    if (server.metaUrl) {
+        const meta = await fetchServerMeta(server.metaUrl, { timeoutMs: opts.pingTimeoutMs, signal });
+        if (meta) update({ meta });
+    }
+
+    await sleep(200);
+    throwIfAborted(signal);
+
+    const loadedLatency = {}; // Ping stats gathered while each transfer phase runs
+    const probeOptions = { timeoutMs: opts.pingTimeoutMs, intervalMs: opts.loadedPingIntervalMs };
+    const transferOptions = { streams, durationMs: opts.testDurationMs, timeoutMs: opts.requestTimeoutMs, maxBytes: opts.maxPhaseBytes, stableTolerance: opts.stableTolerance, signal };
+
+    // Download Test (with a concurrent ping loop for loaded latency)
+    timings.download = await timeRequest(`${server.downloadUrl}?size=${TIMING_REQUEST_BYTES}&t=${Date.now()}`, { method: 'GET' }, { timeoutMs: opts.requestTimeoutMs, signal });
+    update({ timings: { ...timings } });
+    onStatus(`Downloading from ${server.name}${streamLabel}...`);
+    const downloadProbe = startLatencyProbe(server.pingUrl, probeOptions);
+    try {
+        const { mbps, ...downloadStats } = await measureDownload(server.downloadUrl, testConfig.downloadRequestBytes, onProgress, { ...transferOptions, onSample: (sample) => onSample('download', sample) });
+        update({ download: mbps.toFixed(2), downloadStats });
+    } catch (error) {
+        fail('download', error, { download: 'ERR' });
+    } finally {
+        loadedLatency.download = await downloadProbe.stop();
+    }
+    update({ loadedLatency: { ...loadedLatency } });
+
+    await sleep(200);
+    throwIfAborted(signal);
+
+    // Upload Test; a maxUpload of 0 disables it
+    if (testConfig.uploadChunkBytes === 0) {
+        update({ upload: 'Disabled' });
+    } else {
+        const pool = await loadUploadPool();
+        timings.upload = await timeRequest(`${server.uploadUrl}?t=${Date.now()}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: pool.slice(0, Math.min(TIMING_REQUEST_BYTES, testConfig.uploadChunkBytes)),
+        }, { timeoutMs: opts.requestTimeoutMs, signal });
+        update({ timings: { ...timings } });
+        onStatus(`Uploading to ${server.name}${streamLabel}...`);
+        const uploadProbe = startLatencyProbe(server.pingUrl, probeOptions);
+        try {
+            const { mbps, ...uploadStats } = await measureUpload(server.uploadUrl, testConfig.uploadChunkBytes, onProgress, { ...transferOptions, onSample: (sample) => onSample('upload', sample) });
+            update({ upload: mbps.toFixed(2), uploadStats });
+        } catch (error) {
+            fail('upload', error, { upload: 'ERR' });
+        } finally {
+            loadedLatency.upload = await uploadProbe.stop();
+        }
+    }
+
+    const responsiveness = gradeResponsiveness(pingStats, [loadedLatency.download, loadedLatency.upload]);
+    // Mark as complete if no errors occurred in the process
+    update({ loadedLatency: { ...loadedLatency }, responsiveness, status: result.status === 'error' ? 'error' : 'complete' });
+    return result;
+}
@@ -0,0 +1,150 @@
+// lib/monitor.js
+// Unattended monitoring: re-runs the selected servers on an interval, compares each run
+// against user thresholds and reports new breaches (browser notification and/or webhook).
+import { metricValue } from './history.js';
+
+export const MONITOR_STORAGE_KEY = 'speedtest.monitor.v1';
+
+export const DEFAULT_MONITOR_SETTINGS = {
+    intervalMinutes: 15,
+    hiddenBackoffFactor: 4,   // Interval multiplier while the tab is hidden
+    thresholds: { maxPing: null, minDownload: null, minUpload: null },
+    notify: false,            // Browser notifications
+    webhookUrl: '',
+};
+
+export const MONITOR_INTERVAL_RANGE_MINUTES = { min: 1, max: 24 * 60 };
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+export function loadMonitorSettings() {
+    const store = storage();
+    if (!store) return DEFAULT_MONITOR_SETTINGS;
+    try {
+        const saved = JSON.parse(store.getItem(MONITOR_STORAGE_KEY) || '{}');
+        return { ...DEFAULT_MONITOR_SETTINGS, ...saved, thresholds: { ...DEFAULT_MONITOR_SETTINGS.thresholds, ...saved.thresholds } };
+    } catch (error) {
+        console.error('Could not read monitor settings:', error);
+        return DEFAULT_MONITOR_SETTINGS;
+    }
+}
+
+export function saveMonitorSettings(settings) {
+    const store = storage();
+    if (store) store.setItem(MONITOR_STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+// Threshold and error conditions a single result is currently in, keyed by kind.
+export function resultBreaches(result, thresholds) {
+    const breaches = {};
+    if (!result) return breaches;
+    if (result.status === 'error') {
+        breaches.error = `errored (${Object.entries(result.errors || {}).map(([phase, message]) => `${phase}: ${message}`).join('; ') || 'unknown error'})`;
+    }
+    const ping = metricValue(result, 'ping');
+    const download = metricValue(result, 'download');
+    const upload = metricValue(result, 'upload');
+    if (thresholds.maxPing != null && ping !== null && ping > thresholds.maxPing) breaches.ping = `ping ${ping} ms > ${thresholds.maxPing} ms`;
+    if (thresholds.minDownload != null && download !== null && download < thresholds.minDownload) breaches.download = `download ${download} Mbps < ${thresholds.minDownload} Mbps`;
+    if (thresholds.minUpload != null && upload !== null && upload < thresholds.minUpload) breaches.upload = `upload ${upload} Mbps < ${thresholds.minUpload} Mbps`;
+    return breaches;
+}
+
+// Alerts for conditions that are new since the previous monitored run, so a host that stays
+// slow is reported once rather than every interval. Returns [{ server, kind, message }].
+export function evaluateAlerts(results, previousResults, thresholds) {
+    const previousByName = new Map((previousResults || []).map(r => [r.name, r]));
+    const alerts = [];
+    results.forEach(result => {
+        const before = resultBreaches(previousByName.get(result.name), thresholds);
+        Object.entries(resultBreaches(result, thresholds)).forEach(([kind, message]) => {
+            if (!(kind in before)) alerts.push({ server: result.name, kind, message: `${result.name}: ${message}` });
+        });
+    });
+    return alerts;
+}
+
+export function showAlertNotification(alerts) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted' || alerts.length === 0) return;
+    new Notification(`Speed test: ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`, {
+        body: alerts.map(a => a.message).join('\n'),
+        tag: 'speedtest-monitor',
+    });
+}
+
+// POSTs the alerts as JSON. Sent as text/plain without CORS so receivers that do not answer
+// preflights (Slack, Discord, most chat webhooks) still get it; the response is opaque.
+// `text` and `content` carry a readable summary for Slack and Discord respectively.
+export async function sendAlertWebhook(webhookUrl, alerts, run) {
+    const summary = alerts.map(a => a.message).join('\n');
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+        await fetch(webhookUrl, {
+            method: 'POST',
+            mode: 'no-cors',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ event: 'speedtest.alert', text: summary, content: summary, alerts, run: { id: run.id, finishedAt: run.finishedAt } }),
+            signal: controller.signal,
+        });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Calls runOnce() every intervalMs, stretched by hiddenBackoffFactor while isHidden() is true.
+// Runs are scheduled from their start time; a tick that arrives while the previous run (or
+// a manual one, see isBusy) is still going is skipped and reported through onSkip.
+export function createMonitorScheduler({ intervalMs, hiddenBackoffFactor = 1, runOnce, isBusy = () => false, isHidden = () => false, onSkip = () => {}, onSchedule = () => {} }) {
+    let timer = null;
+    let running = false;
+    let stopped = true;
+    let lastTickAt = 0;
+
+    const delay = () => intervalMs * (isHidden() ? hiddenBackoffFactor : 1);
+
+    const schedule = (ms) => {
+        clearTimeout(timer);
+        timer = setTimeout(tick, Math.max(0, ms));
+        onSchedule(Date.now() + Math.max(0, ms));
+    };
+
+    async function tick() {
+        if (stopped) return;
+        lastTickAt = Date.now();
+        schedule(delay());
+        if (running || isBusy()) {
+            onSkip();
+            return;
+        }
+        running = true;
+        try {
+            await runOnce();
+        } catch (error) {
+            console.error('Monitored run failed:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        get active() { return !stopped; },
+        // Starts monitoring with an immediate first run.
+        start() {
+            if (!stopped) return;
+            stopped = false;
+            tick();
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            onSchedule(null);
+        },
+        // Re-times the pending run after the tab is shown or hidden.
+        visibilityChanged() {
+            if (!stopped) schedule(lastTickAt + delay() - Date.now());
+        },
+    };
+}
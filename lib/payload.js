@@ -0,0 +1,109 @@
+// lib/payload.js
+// Byte sources for /api/download. Every source is addressed by absolute byte offset, so a
+// response can start anywhere (Range requests) and still produce the same bytes:
+//   random  – one pre-generated random buffer, reused for every chunk (default; incompressible)
+//   crypto  – fresh crypto.getRandomValues output per chunk (the original behaviour, CPU heavy)
+//   seeded  – xorshift32 stream derived from a seed; reproducible across requests and hosts
+//   zero    – all zero bytes, for spotting compressing middleboxes
+// Upload bodies are cut from a random pool filled by fillRandom() (see lib/uploadPayload.js).
+
+export const PAYLOAD_MODES = ['random', 'crypto', 'seeded', 'zero'];
+export const DEFAULT_PAYLOAD_MODE = 'random';
+// Modes whose bytes only depend on the request, so responses may be cached and validated
+export const DETERMINISTIC_MODES = ['seeded', 'zero'];
+
+export const PAYLOAD_CHUNK_BYTES = 64 * 1024;
+// Larger than the match window of deflate (32KB) and brotli's default (4MB), so reusing the
+// pool stays incompressible if a proxy compresses the response anyway.
+export const RANDOM_POOL_BYTES = 8 * 1024 * 1024;
+// crypto.getRandomValues fills at most 64KB per call
+export const CRYPTO_FILL_LIMIT = 65536;
+
+// The body only uses its arguments and globals: lib/uploadPayload.js runs its source in a
+// worker, passing `limit` explicitly.
+export function fillRandom(bytes, limit = CRYPTO_FILL_LIMIT) {
+    for (let i = 0; i < bytes.length; i += limit) {
+        crypto.getRandomValues(bytes.subarray(i, i + limit));
+    }
+    return bytes;
+}
+
+// Generated on first use and kept for the lifetime of the isolate/process
+let randomPool = null;
+const getRandomPool = () => {
+    if (!randomPool) randomPool = fillRandom(new Uint8Array(RANDOM_POOL_BYTES));
+    return randomPool;
+};
+
+// Bytes [offset, offset + length) of the pool, wrapping around its end.
+function poolSlice(offset, length) {
+    const pool = getRandomPool();
+    const start = offset % RANDOM_POOL_BYTES;
+    if (start + length <= RANDOM_POOL_BYTES) return new Uint8Array(pool.buffer.slice(start, start + length));
+    const out = new Uint8Array(length);
+    let written = 0;
+    let position = start;
+    while (written < length) {
+        const n = Math.min(length - written, RANDOM_POOL_BYTES - position);
+        out.set(pool.subarray(position, position + n), written);
+        written += n;
+        position = 0;
+    }
+    return out;
+}
+
+const LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+// The seeded stream is generated in independent 64KB blocks, each from its own xorshift32
+// state, so any offset can be produced without generating everything before it.
+function seededBlock(seed, blockIndex) {
+    // Mix seed and block index (murmur3 finaliser); xorshift32 must not start at 0
+    let x = Math.imul(seed ^ Math.imul(blockIndex + 1, 0x9e3779b9), 0x85ebca6b) >>> 0;
+    x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35) >>> 0;
+    x = (x ^ (x >>> 16)) >>> 0 || 0x6d2b79f5;
+    const words = new Uint32Array(PAYLOAD_CHUNK_BYTES / 4);
+    for (let i = 0; i < words.length; i++) {
+        x ^= x << 13;
+        x ^= x >>> 17;
+        x ^= x << 5;
+        words[i] = x;
+    }
+    // Fixed little-endian byte order so every platform produces the same bytes
+    if (LITTLE_ENDIAN) return new Uint8Array(words.buffer);
+    const bytes = new Uint8Array(PAYLOAD_CHUNK_BYTES);
+    const view = new DataView(bytes.buffer);
+    words.forEach((word, i) => view.setUint32(i * 4, word, true));
+    return bytes;
+}
+
+function seededSlice(seed, offset, length) {
+    const out = new Uint8Array(length);
+    let written = 0;
+    while (written < length) {
+        const position = offset + written;
+        const blockIndex = Math.floor(position / PAYLOAD_CHUNK_BYTES);
+        const start = position % PAYLOAD_CHUNK_BYTES;
+        const n = Math.min(length - written, PAYLOAD_CHUNK_BYTES - start);
+        out.set(seededBlock(seed, blockIndex).subarray(start, start + n), written);
+        written += n;
+    }
+    return out;
+}
+
+// Returns read(offset, length) for `mode`; length is at most PAYLOAD_CHUNK_BYTES. Every call
+// returns a new array: a stream may transfer the chunks it is given, which would detach a
+// shared buffer.
+export function createPayloadSource(mode = DEFAULT_PAYLOAD_MODE, seed = 0) {
+    switch (mode) {
+        case 'random':
+            return (offset, length) => poolSlice(offset, length);
+        case 'crypto':
+            return (offset, length) => fillRandom(new Uint8Array(length));
+        case 'seeded':
+            return (offset, length) => seededSlice(seed >>> 0, offset, length);
+        case 'zero':
+            return (offset, length) => new Uint8Array(length);
+        default:
+            throw new Error(`Unknown payload mode "${mode}"`);
+    }
+}
@@ -0,0 +1,185 @@
+// lib/probe.js
+// Capability probe for hosts added from the UI. Checks that ping, download and upload answer
+// correctly and with CORS, and finds the largest upload body the host accepts. Every failed
+// check carries a specific reason rather than the browser's generic "Failed to fetch".
+import { expandServer, DEFAULT_CAPABILITIES } from './servers.js';
+import { DEFAULT_TEST_OPTIONS } from './measure.js';
+import { loadUploadPool, createUploadBlob } from './uploadPayload.js';
+
+export const PROBE_DOWNLOAD_BYTES = 1024;
+export const PROBE_TIMEOUT_MS = 10000;
+
+const KB = 1024;
+const MB = 1024 * KB;
+// The upload search grows ×4 from UPLOAD_PROBE_START until the host refuses, then bisects
+// down to UPLOAD_PROBE_RESOLUTION (or 1/8 of the accepted size, whichever is larger).
+const UPLOAD_PROBE_START = 64 * KB;
+const UPLOAD_PROBE_GROWTH = 4;
+const UPLOAD_PROBE_RESOLUTION = 256 * KB;
+const UPLOAD_PROBE_ALIGN = 64 * KB;
+
+export const formatBytes = (bytes) => {
+    if (bytes >= 1024 * MB) return `${+(bytes / 1024 / MB).toFixed(2)} GB`;
+    return bytes >= MB ? `${+(bytes / MB).toFixed(1)} MB` : `${Math.round(bytes / KB)} KB`;
+};
+
+// Browsers report every network, TLS and CORS failure as the same TypeError. Repeating the
+// request in ways that need less from the host tells them apart: a no-cors request that
+// succeeds proves the host is reachable, and a simple (preflight-free) request that succeeds
+// proves only the preflight is being rejected.
+async function explainFailure(url, init, timeoutMs) {
+    if (typeof window !== 'undefined' && window.location.protocol === 'https:' && url.startsWith('http:')) {
+        return 'blocked as mixed content: this page is served over https, so the host must be too';
+    }
+    const attempt = async (extra) => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            await fetch(url, { ...init, ...extra, cache: 'no-store', signal: controller.signal });
+            return true;
+        } catch {
+            return false;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    };
+    const needsPreflight = init.headers && init.headers['Content-Type'] === 'application/octet-stream';
+    if (needsPreflight && await attempt({ headers: { 'Content-Type': 'text/plain' } })) {
+        return `the CORS preflight (OPTIONS) was rejected: the host must answer it with Access-Control-Allow-Methods: ${init.method} and Access-Control-Allow-Headers: Content-Type`;
+    }
+    if (await attempt({ mode: 'no-cors', headers: needsPreflight ? { 'Content-Type': 'text/plain' } : init.headers })) {
+        return 'the host answered, but without an Access-Control-Allow-Origin header, so the browser blocked the response (CORS)';
+    }
+    return 'network error: the host is unreachable (DNS, TLS or connection failure)';
+}
+
+// Runs one request with a timeout covering the body as well. Resolves with
+// { response, body } on any HTTP answer, or { problem } when there was none.
+async function probeRequest(url, init, { timeoutMs, read = () => null }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+        response = await fetch(url, { ...init, cache: 'no-store', signal: controller.signal });
+    } catch {
+        if (controller.signal.aborted) return { problem: `no response within ${timeoutMs / 1000} s` };
+        clearTimeout(timeoutId);
+        return { problem: await explainFailure(url, init, timeoutMs) };
+    }
+    try {
+        return { response, body: response.ok ? await read(response) : null };
+    } catch {
+        return { problem: controller.signal.aborted ? `response body did not finish within ${timeoutMs / 1000} s` : 'the connection dropped while reading the response' };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+const httpProblem = (response) => `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+
+async function probePing(server, timeoutMs) {
+    const startedAt = performance.now();
+    const { response, problem } = await probeRequest(server.pingUrl, { method: 'GET' }, { timeoutMs, read: r => r.text() });
+    if (problem) return { ok: false, detail: problem };
+    if (!response.ok) return { ok: false, detail: `${httpProblem(response)} from ${server.pingUrl}` };
+    const cacheControl = response.headers.get('Cache-Control') || '';
+    const detail = `${response.status} in ${Math.round(performance.now() - startedAt)} ms`;
+    // A cacheable ping can be answered by a CDN, which would report the CDN's RTT instead of the host's
+    return /no-store|no-cache|private|max-age=0/.test(cacheControl)
+        ? { ok: true, detail }
+        : { ok: true, detail: `${detail}; warning: response is cacheable (Cache-Control: ${cacheControl || 'none'}), so a CDN may answer instead of the host` };
+}
+
+async function probeDownload(server, timeoutMs) {
+    const url = `${server.downloadUrl}?size=${PROBE_DOWNLOAD_BYTES}`;
+    const { response, body, problem } = await probeRequest(url, { method: 'GET' }, { timeoutMs, read: r => r.arrayBuffer() });
+    if (problem) return { ok: false, detail: problem };
+    if (!response.ok) return { ok: false, detail: `${httpProblem(response)} for ?size=${PROBE_DOWNLOAD_BYTES}` };
+    if (body.byteLength !== PROBE_DOWNLOAD_BYTES) {
+        return { ok: false, detail: `expected ${PROBE_DOWNLOAD_BYTES} bytes for ?size=${PROBE_DOWNLOAD_BYTES}, got ${body.byteLength}` };
+    }
+    return { ok: true, detail: `${PROBE_DOWNLOAD_BYTES} bytes received` };
+}
+
+// POSTs `size` random bytes from the upload pool. Resolves with { ok, receipt } or
+// { ok: false, status, problem }.
+async function postSize(server, pool, size, timeoutMs) {
+    const { response, body, problem } = await probeRequest(server.uploadUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: createUploadBlob(pool, size),
+    }, { timeoutMs, read: r => r.json().catch(() => null) });
+    if (problem) return { ok: false, problem: `${problem} (at ${formatBytes(size)})` };
+    if (!response.ok) return { ok: false, status: response.status, problem: `${httpProblem(response)} at ${formatBytes(size)}` };
+    // Hosts running this app return a receipt; check it counted the whole body
+    if (body && Number.isInteger(body.bytes) && body.bytes !== size) {
+        return { ok: false, problem: `the host received ${body.bytes} of ${size} bytes at ${formatBytes(size)}` };
+    }
+    return { ok: true, receipt: body };
+}
+
+async function probeUpload(server, timeoutMs, onStatus) {
+    // Probing never goes past the default test size, or the limit the host reports in its receipt
+    let ceiling = DEFAULT_CAPABILITIES.maxUpload;
+    const pool = await loadUploadPool();
+    let accepted = 0;
+    let rejected = null;
+    let rejection = null;
+    let size = UPLOAD_PROBE_START;
+
+    while (rejected === null && accepted < ceiling) {
+        onStatus(`Upload: trying ${formatBytes(size)}...`);
+        const attempt = await postSize(server, pool, size, timeoutMs);
+        if (!attempt.ok) {
+            rejected = size;
+            rejection = attempt;
+            break;
+        }
+        accepted = size;
+        if (attempt.receipt && Number.isInteger(attempt.receipt.maxBytes)) ceiling = Math.min(ceiling, attempt.receipt.maxBytes);
+        size = Math.min(ceiling, size * UPLOAD_PROBE_GROWTH);
+    }
+    if (accepted === 0) return { ok: false, maxUpload: 0, detail: `upload disabled: ${rejection.problem}` };
+
+    while (rejected !== null && rejected - accepted > Math.max(UPLOAD_PROBE_RESOLUTION, accepted / 8)) {
+        const mid = Math.round((accepted + rejected) / 2 / UPLOAD_PROBE_ALIGN) * UPLOAD_PROBE_ALIGN;
+        if (mid <= accepted || mid >= rejected) break;
+        onStatus(`Upload: trying ${formatBytes(mid)}...`);
+        const attempt = await postSize(server, pool, mid, timeoutMs);
+        if (attempt.ok) {
+            accepted = mid;
+        } else {
+            rejected = mid;
+            rejection = attempt;
+        }
+    }
+    return {
+        ok: true,
+        maxUpload: accepted,
+        detail: rejected === null
+            ? `accepts ${formatBytes(accepted)}${accepted < DEFAULT_CAPABILITIES.maxUpload ? ' (the limit it reports)' : ''}`
+            : `accepts up to ${formatBytes(accepted)}; rejected with ${rejection.problem}`,
+    };
+}
+
+// Probes a registry entry ({ name, baseUrl, trailingSlash, ... }). Resolves with
+// { ok, checks: [{ label, ok, detail }], capabilities }; ok is false when ping or download
+// fail. A host whose upload fails is still usable, with capabilities.maxUpload = 0.
+export async function probeServer(entry, { timeoutMs = PROBE_TIMEOUT_MS, uploadTimeoutMs = DEFAULT_TEST_OPTIONS.requestTimeoutMs, onStatus = () => {} } = {}) {
+    const server = expandServer(entry);
+    const checks = [];
+
+    onStatus('Ping: checking...');
+    const ping = await probePing(server, timeoutMs);
+    checks.push({ label: 'Ping', ...ping });
+    if (!ping.ok) return { ok: false, checks, capabilities: null };
+
+    onStatus('Download: checking...');
+    const download = await probeDownload(server, timeoutMs);
+    checks.push({ label: 'Download', ...download });
+
+    const upload = await probeUpload(server, uploadTimeoutMs, onStatus);
+    checks.push({ label: 'Upload', ok: upload.ok, detail: upload.detail });
+
+    return { ok: download.ok, checks, capabilities: { maxUpload: upload.maxUpload } };
+}
@@ -0,0 +1,151 @@
+// lib/profiles.js
+// Test profiles: named presets of the page's test settings, their URL query form (so a link
+// opens with the same settings) and a data-usage estimate shown before a run starts.
+import { DEFAULT_TEST_OPTIONS } from './measure.js';
+import { metricValue } from './history.js';
+
+const MB = 1024 * 1024;
+
+// Allowed range of every setting; values from the URL or the editor are clamped to these.
+export const PROFILE_RANGES = {
+    pingCount: { min: 1, max: 100 },
+    pingTimeoutMs: { min: 100, max: 10000 },
+    requestTimeoutMs: { min: 1000, max: 120000 },
+    testDurationMs: { min: 2000, max: 60000 },
+    maxPhaseBytes: { min: 1 * MB, max: 2048 * MB },
+    stableTolerance: { min: 0, max: 0.2 },
+};
+
+export const TEST_PROFILES = [
+    {
+        key: 'quick',
+        label: 'Quick',
+        description: 'Short single-stream phases capped at 10 MB each, for metered connections.',
+        settings: { pingCount: 5, pingTimeoutMs: 2000, requestTimeoutMs: 30000, testDurationMs: 5000, maxPhaseBytes: 10 * MB, stableTolerance: 0.05, multiStream: false },
+    },
+    {
+        key: 'standard',
+        label: 'Standard',
+        description: '10 second multi-stream phases without a data cap.',
+        settings: {
+            pingCount: DEFAULT_TEST_OPTIONS.pingCount,
+            pingTimeoutMs: DEFAULT_TEST_OPTIONS.pingTimeoutMs,
+            requestTimeoutMs: DEFAULT_TEST_OPTIONS.requestTimeoutMs,
+            testDurationMs: DEFAULT_TEST_OPTIONS.testDurationMs,
+            maxPhaseBytes: DEFAULT_TEST_OPTIONS.maxPhaseBytes,
+            stableTolerance: DEFAULT_TEST_OPTIONS.stableTolerance,
+            multiStream: true,
+        },
+    },
+    {
+        key: 'thorough',
+        label: 'Thorough',
+        description: '30 pings and 20 second phases that only stop early on a very stable rate.',
+        settings: { pingCount: 30, pingTimeoutMs: 2000, requestTimeoutMs: 60000, testDurationMs: 20000, maxPhaseBytes: null, stableTolerance: 0.01, multiStream: true },
+    },
+];
+
+export const DEFAULT_PROFILE_KEY = 'standard';
+export const CUSTOM_PROFILE_KEY = 'custom';
+export const profileSettings = (key) => (TEST_PROFILES.find(p => p.key === key) || TEST_PROFILES.find(p => p.key === DEFAULT_PROFILE_KEY)).settings;
+
+const SETTING_KEYS = Object.keys(TEST_PROFILES[0].settings);
+
+// The preset whose settings equal `settings`, or 'custom'.
+export function matchProfile(settings) {
+    const match = TEST_PROFILES.find(p => SETTING_KEYS.every(key => p.settings[key] === settings[key]));
+    return match ? match.key : CUSTOM_PROFILE_KEY;
+}
+
+export const clampSetting = (key, value) => Math.min(PROFILE_RANGES[key].max, Math.max(PROFILE_RANGES[key].min, value));
+
+// testServer() options for one server under `settings`. Multi-stream mode uses the
+// server's `streams` capability; single mode uses one connection.
+export const testOptions = (settings, server) => ({
+    streams: settings.multiStream ? server.capabilities.streams : 1,
+    pingCount: settings.pingCount,
+    pingTimeoutMs: settings.pingTimeoutMs,
+    requestTimeoutMs: settings.requestTimeoutMs,
+    testDurationMs: settings.testDurationMs,
+    maxPhaseBytes: settings.maxPhaseBytes,
+    stableTolerance: settings.stableTolerance,
+});
+
+// --- URL query ---
+// Presets are stored by name (?profile=quick); custom settings spell out every value in
+// readable units: ?profile=custom&pings=10&pingTimeout=2000&timeout=30&duration=10&cap=50&stable=3&streams=multi
+// (timeout and duration in seconds, cap in MB or "none", stable in percent).
+const QUERY_FIELDS = {
+    pings: { key: 'pingCount', encode: v => v, decode: v => parseInt(v, 10) },
+    pingTimeout: { key: 'pingTimeoutMs', encode: v => v, decode: v => parseInt(v, 10) },
+    timeout: { key: 'requestTimeoutMs', encode: v => v / 1000, decode: v => parseFloat(v) * 1000 },
+    duration: { key: 'testDurationMs', encode: v => v / 1000, decode: v => parseFloat(v) * 1000 },
+    cap: { key: 'maxPhaseBytes', encode: v => (v === null ? 'none' : Math.round(v / MB)), decode: v => (v === 'none' ? null : parseFloat(v) * MB) },
+    stable: { key: 'stableTolerance', encode: v => Math.round(v * 1000) / 10, decode: v => parseFloat(v) / 100 },
+    streams: { key: 'multiStream', encode: v => (v ? 'multi' : 'single'), decode: v => (v === 'multi' ? true : v === 'single' ? false : undefined) },
+};
+export const PROFILE_QUERY_KEYS = ['profile', ...Object.keys(QUERY_FIELDS)];
+
+export function profileToQuery(settings) {
+    const key = matchProfile(settings);
+    if (key !== CUSTOM_PROFILE_KEY) return { profile: key };
+    const query = { profile: CUSTOM_PROFILE_KEY };
+    Object.entries(QUERY_FIELDS).forEach(([name, field]) => {
+        query[name] = String(field.encode(settings[field.key]));
+    });
+    return query;
+}
+
+// Settings from a parsed query object, or null when it names no profile. Custom values
+// that are missing or invalid fall back to the standard profile; numbers are clamped.
+export function profileFromQuery(query) {
+    const name = typeof query.profile === 'string' ? query.profile : null;
+    if (!name) return null;
+    if (name !== CUSTOM_PROFILE_KEY) return TEST_PROFILES.some(p => p.key === name) ? { ...profileSettings(name) } : null;
+
+    const settings = { ...profileSettings(DEFAULT_PROFILE_KEY) };
+    Object.entries(QUERY_FIELDS).forEach(([param, field]) => {
+        if (typeof query[param] !== 'string') return;
+        const value = field.decode(query[param]);
+        if (value === null || typeof value === 'boolean') settings[field.key] = value;
+        else if (Number.isFinite(value)) settings[field.key] = clampSetting(field.key, value);
+    });
+    return settings;
+}
+
+// --- Data usage ---
+// Pings, metadata and the two Resource Timing requests per server.
+const OVERHEAD_BYTES_PER_SERVER = 256 * 1024;
+
+// Latest measured rate for a server from history (newest run first), or null.
+function lastMbps(history, name, metric) {
+    for (const run of history) {
+        const value = metricValue(run.results.find(r => r.name === name), metric);
+        if (value !== null) return value;
+    }
+    return null;
+}
+
+// Estimated data a run of `servers` will transfer with `settings`. Each phase moves at most
+// rate × duration (the meter may stop sooner) and never more than the cap. Rates come from
+// the latest saved results; servers never tested before count at the cap, or as unknown
+// when there is none. Returns { expectedBytes, maxBytes (null if unbounded), unknownServers }.
+export function estimateDataUsage(settings, servers, history = []) {
+    const cap = settings.maxPhaseBytes;
+    let expectedBytes = 0;
+    let unknownServers = 0;
+    servers.forEach(server => {
+        expectedBytes += OVERHEAD_BYTES_PER_SERVER;
+        const phases = server.capabilities.maxUpload > 0 ? ['download', 'upload'] : ['download'];
+        let unknown = false;
+        phases.forEach(phase => {
+            const mbps = lastMbps(history, server.name, phase);
+            const bytes = mbps === null ? cap : (mbps * 1000 * 1000 / 8) * (settings.testDurationMs / 1000);
+            if (bytes === null) unknown = true;
+            else expectedBytes += cap === null ? bytes : Math.min(bytes, cap);
+        });
+        if (unknown) unknownServers += 1;
+    });
+    const maxBytes = cap === null ? null : servers.reduce((sum, s) => sum + OVERHEAD_BYTES_PER_SERVER + cap * (s.capabilities.maxUpload > 0 ? 2 : 1), 0);
+    return { expectedBytes, maxBytes, unknownServers };
+}
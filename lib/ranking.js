@@ -0,0 +1,91 @@
+// lib/ranking.js
+// Sorting, per-column winners and a weighted overall score for the results table.
+import { metricValue } from './history.js';
+
+export const RANKING_STORAGE_KEY = 'speedtest.scoreWeights.v1';
+
+// Relative importance of each metric in the overall score; 0 leaves a metric out.
+export const DEFAULT_SCORE_WEIGHTS = { ping: 1, download: 1, upload: 1 };
+export const SCORE_WEIGHT_RANGE = { min: 0, max: 10 };
+
+export const RANKED_METRICS = [
+    { key: 'ping', label: 'Ping', lowerIsBetter: true },
+    { key: 'download', label: 'Download', lowerIsBetter: false },
+    { key: 'upload', label: 'Upload', lowerIsBetter: false },
+];
+
+const metric = (key) => RANKED_METRICS.find(m => m.key === key);
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+export function loadScoreWeights() {
+    const store = storage();
+    if (!store) return DEFAULT_SCORE_WEIGHTS;
+    try {
+        return { ...DEFAULT_SCORE_WEIGHTS, ...JSON.parse(store.getItem(RANKING_STORAGE_KEY) || '{}') };
+    } catch (error) {
+        console.error('Could not read score weights:', error);
+        return DEFAULT_SCORE_WEIGHTS;
+    }
+}
+
+export function saveScoreWeights(weights) {
+    const store = storage();
+    if (store) store.setItem(RANKING_STORAGE_KEY, JSON.stringify(weights));
+    return weights;
+}
+
+// Sorts by one metric, best first unless direction is 'worst'. Results without a number for
+// the metric (pending, ERR, Disabled) always go last, in their original order.
+export function sortResults(results, key, direction = 'best') {
+    const { lowerIsBetter } = metric(key);
+    const sign = (lowerIsBetter ? 1 : -1) * (direction === 'worst' ? -1 : 1);
+    return results
+        .map((result, index) => ({ result, index, value: metricValue(result, key) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) return (a.value === null) - (b.value === null) || a.index - b.index;
+            return sign * (a.value - b.value) || a.index - b.index;
+        })
+        .map(entry => entry.result);
+}
+
+// Name of the best result per metric, e.g. { ping: 'Vercel', download: 'Render', upload: null }.
+export function columnWinners(results) {
+    const winners = {};
+    RANKED_METRICS.forEach(({ key }) => {
+        const [best] = sortResults(results, key);
+        winners[key] = best && metricValue(best, key) !== null ? best.name : null;
+    });
+    return winners;
+}
+
+// Scores every result with at least one measurement, best first: [{ name, score, parts }].
+// Each metric is scaled against the best value in this set (1 = best) and a missing or
+// failed measurement counts as 0; score is the weighted mean of those, out of 100.
+// Pings under 1 ms (e.g. a local host) count as 1 ms so they do not divide by zero.
+export function scoreResults(results, weights = DEFAULT_SCORE_WEIGHTS) {
+    const totalWeight = RANKED_METRICS.reduce((sum, { key }) => sum + (weights[key] || 0), 0);
+    if (totalWeight <= 0) return [];
+    const scaled = (result, { key, lowerIsBetter }) => {
+        const value = metricValue(result, key);
+        if (value === null) return null;
+        return lowerIsBetter ? Math.max(1, value) : value;
+    };
+    const best = {};
+    RANKED_METRICS.forEach((m) => {
+        const values = results.map(r => scaled(r, m)).filter(v => v !== null && v > 0);
+        best[m.key] = values.length > 0 ? (m.lowerIsBetter ? Math.min(...values) : Math.max(...values)) : null;
+    });
+
+    return results
+        .filter(result => RANKED_METRICS.some(({ key }) => metricValue(result, key) !== null))
+        .map(result => {
+            const parts = {};
+            RANKED_METRICS.forEach((m) => {
+                const value = scaled(result, m);
+                parts[m.key] = value === null || value <= 0 || best[m.key] === null ? 0 : (m.lowerIsBetter ? best[m.key] / value : value / best[m.key]);
+            });
+            const score = RANKED_METRICS.reduce((sum, { key }) => sum + parts[key] * (weights[key] || 0), 0) / totalWeight;
+            return { name: result.name, score: Math.round(score * 100), parts };
+        })
+        .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,27 @@
+// lib/rateLimit.js
+// Fixed-window request counter per key (e.g. client address). State is per process or
+// isolate, so on multi-instance platforms each instance enforces the limit on its own.
+
+export function createRateLimiter({ windowMs }) {
+    const windows = new Map(); // key → { start, count }
+
+    return {
+        // Counts one request for `key` against `limit` per window. Returns { allowed, retryAfterMs }.
+        // Expired windows are swept once many keys have accumulated.
+        take(key, limit, now = Date.now()) {
+            if (windows.size > 10000) {
+                windows.forEach((w, k) => {
+                    if (now - w.start >= windowMs) windows.delete(k);
+                });
+            }
+            let current = windows.get(key);
+            if (!current || now - current.start >= windowMs) {
+                current = { start: now, count: 0 };
+                windows.set(key, current);
+            }
+            if (current.count >= limit) return { allowed: false, retryAfterMs: current.start + windowMs - now };
+            current.count += 1;
+            return { allowed: true, retryAfterMs: 0 };
+        },
+    };
+}
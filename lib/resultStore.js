@@ -0,0 +1,41 @@
+// lib/resultStore.js
+// Storage behind /api/results. A store is any object with two async methods:
+//
+//   add(records)       appends records ({ at, server, country, asn, ping, jitter, lossPct,
+//                      download, upload, grade })
+//   list({ since })    resolves with the records whose `at` (ms since epoch) is >= since
+//
+// Collection is off until a store is configured. RESULTS_STORE=memory selects the
+// in-memory store below. server.js installs the file store (lib/fileResultStore.js) when
+// RESULTS_FILE is set. Other platforms plug in their own adapter (KV, D1, a database) with
+// setResultStore() in their entry point (see _worker.js).
+import { configValue } from './config.js';
+
+export const DEFAULT_RESULT_LIMIT = 100000;
+
+// Keeps the newest `limit` records in memory; they are lost when the process restarts.
+export function createMemoryResultStore({ limit = DEFAULT_RESULT_LIMIT } = {}) {
+    let records = [];
+    return {
+        async add(added) {
+            records = [...records, ...added].slice(-limit);
+        },
+        async list({ since = 0 } = {}) {
+            return records.filter(r => r.at >= since);
+        },
+    };
+}
+
+let configuredStore;
+
+export function setResultStore(store) {
+    configuredStore = store;
+}
+
+// The configured store, or null when result collection is disabled.
+export function getResultStore() {
+    if (configuredStore === undefined) {
+        configuredStore = configValue('RESULTS_STORE') === 'memory' ? createMemoryResultStore() : null;
+    }
+    return configuredStore;
+}
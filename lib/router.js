@@ -0,0 +1,32 @@
+// lib/router.js
+// Maps /api/<name> to the handlers in functions/api, so the standalone Node server
+// (server.js) and the Cloudflare Worker (_worker.js) serve exactly the same contract
+// as the edge deployments.
+import ping from '../functions/api/ping.js';
+import download from '../functions/api/download.js';
+import upload from '../functions/api/upload.js';
+import servers from '../functions/api/servers.js';
+import meta from '../functions/api/meta.js';
+import results from '../functions/api/results.js';
+import { jsonResponse } from './http.js';
+
+export const API_ROUTES = { ping, download, upload, servers, meta, results };
+
+const notFound = () => jsonResponse({ message: 'Not found' }, 404, { 'Access-Control-Allow-Origin': '*' });
+
+// Resolves with the API response for `request`, or null when the path is not under /api/
+// so the caller can serve static assets instead. Trailing slashes are accepted, as some
+// hosts in the registry use them.
+export async function handleApiRequest(request) {
+    const { pathname } = new URL(request.url);
+    if (!pathname.startsWith('/api/')) return null;
+    const match = /^\/api\/([a-z]+)\/?$/.exec(pathname);
+    const handler = match && Object.hasOwn(API_ROUTES, match[1]) ? API_ROUTES[match[1]] : null;
+    if (!handler) return notFound();
+    try {
+        return await handler(request);
+    } catch (error) {
+        console.error(`Unhandled error in /api/${match[1]}:`, error);
+        return jsonResponse({ message: 'Internal server error' }, 500, { 'Access-Control-Allow-Origin': '*' });
+    }
+}
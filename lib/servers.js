@@ -0,0 +1,137 @@
+// lib/servers.js
+// Server registry shared by the /api/servers endpoint and the UI.
+// Each host is declared once by its base URL; the ping/download/upload
+// endpoint URLs are derived from it by expandServer().
+
+const MB = 1024 * 1024;
+export const MAX_STREAMS = 16;
+
+// Capabilities applied when a registry entry does not override them.
+export const DEFAULT_CAPABILITIES = {
+    maxUpload: 26 * MB,
+    maxDownload: 100 * MB,
+    streams: 4, // Concurrent connections used in multi-stream mode
+};
+
+// --- SERVER REGISTRY ---
+export const SERVER_REGISTRY = [
+    { name: 'Azure (Free Next.JS AU South East)', baseUrl: 'https://speedjstest-egazh8d6gkdfefar.australiasoutheast-01.azurewebsites.net', provider: 'Azure', region: 'AU', tags: ['free', 'nextjs'] },
+    { name: 'Azure (Free VM AU East)', baseUrl: 'https://js.azure.xiliourt.ovh', provider: 'Azure', region: 'AU', tags: ['free', 'vm'] },
+    { name: 'Vercel (Edge CDN)', baseUrl: 'https://speedtestjs.vercel.app', provider: 'Vercel', region: 'Global', tags: ['cdn', 'edge'], capabilities: { maxUpload: 4 * MB, streams: 2 } },
+    { name: 'Render', baseUrl: 'https://renderjsspeedtest.onrender.com', provider: 'Render', region: 'Global', tags: ['free'] },
+    { name: 'Netlify (CDN)', baseUrl: 'https://speedtestnextjs.netlify.app', provider: 'Netlify', region: 'Global', tags: ['cdn', 'edge'], capabilities: { maxUpload: 4 * MB, streams: 2 } },
+    { name: 'Cloudflare (Global CDN)', baseUrl: 'https://speedtestjs.pages.dev', provider: 'Cloudflare', region: 'Global', tags: ['cdn', 'edge'] },
+    { name: 'Sydney, AU (Onidel)', baseUrl: 'https://js.s.xiliourt.ovh', provider: 'Onidel', region: 'AU', tags: ['vm'] },
+    { name: 'Sydney, AU (via CF)', baseUrl: 'https://jsscf.xiliourt.ovh', provider: 'Onidel', region: 'AU', tags: ['vm', 'cdn'] },
+    { name: 'Stockholm (Hosthatch)', baseUrl: 'https://js.sto.xiliourt.ovh', provider: 'Hosthatch', region: 'EU', tags: ['vm'] },
+    { name: 'Stockholm (via CF)', baseUrl: 'https://jsstocf.xiliourt.ovh', provider: 'Hosthatch', region: 'EU', tags: ['vm', 'cdn'] },
+    { name: 'Germany (Hostbrr)', baseUrl: 'https://hostbrr.xiliourt.ovh', provider: 'Hostbrr', region: 'EU', tags: ['vm'], trailingSlash: true, capabilities: { maxUpload: 0 } }, // Upload disabled
+];
+
+// --- SCHEMA ---
+// Minimal declarative schema; every field is checked by validateServer().
+const isNonNegativeInteger = (v) => Number.isInteger(v) && v >= 0;
+const isPositiveInteger = (v) => Number.isInteger(v) && v >= 1;
+
+const isHttpUrl = (v) => {
+    try {
+        const { protocol } = new URL(v);
+        return protocol === 'https:' || protocol === 'http:';
+    } catch {
+        return false;
+    }
+};
+
+export const SERVER_SCHEMA = {
+    name: { required: true, check: (v) => typeof v === 'string' && v.trim().length > 0, message: 'must be a non-empty string' },
+    baseUrl: { required: true, check: isHttpUrl, message: 'must be an absolute http(s) URL' },
+    provider: { required: true, check: (v) => typeof v === 'string' && v.length > 0, message: 'must be a non-empty string' },
+    region: { required: true, check: (v) => typeof v === 'string' && v.length > 0, message: 'must be a non-empty string' },
+    tags: { required: false, check: (v) => Array.isArray(v) && v.every(t => typeof t === 'string'), message: 'must be an array of strings' },
+    trailingSlash: { required: false, check: (v) => typeof v === 'boolean', message: 'must be a boolean' },
+    capabilities: { required: false, check: (v) => v !== null && typeof v === 'object' && !Array.isArray(v), message: 'must be an object' },
+};
+
+export const CAPABILITIES_SCHEMA = {
+    maxUpload: { check: isNonNegativeInteger, message: 'must be a non-negative integer (bytes)' },
+    // Unlike maxUpload there is no 0 to disable downloads: a request for 0 bytes is refused
+    maxDownload: { check: isPositiveInteger, message: 'must be a positive integer (bytes)' },
+    streams: { check: (v) => Number.isInteger(v) && v >= 1 && v <= MAX_STREAMS, message: `must be an integer between 1 and ${MAX_STREAMS}` },
+};
+
+// Returns a list of human readable problems; an empty list means the entry is valid.
+export function validateServer(entry) {
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+        return ['entry must be an object'];
+    }
+    const errors = [];
+    for (const [field, rule] of Object.entries(SERVER_SCHEMA)) {
+        if (entry[field] === undefined) {
+            if (rule.required) errors.push(`${field} is required`);
+        } else if (!rule.check(entry[field])) {
+            errors.push(`${field} ${rule.message}`);
+        }
+    }
+    for (const field of Object.keys(entry)) {
+        if (!(field in SERVER_SCHEMA) && !['pingUrl', 'downloadUrl', 'uploadUrl', 'metaUrl'].includes(field)) {
+            errors.push(`unknown field "${field}"`);
+        }
+    }
+    if (entry.capabilities && typeof entry.capabilities === 'object') {
+        for (const [field, value] of Object.entries(entry.capabilities)) {
+            const rule = CAPABILITIES_SCHEMA[field];
+            if (!rule) errors.push(`unknown capability "${field}"`);
+            else if (!rule.check(value)) errors.push(`capabilities.${field} ${rule.message}`);
+        }
+    }
+    return errors;
+}
+
+// Derives the endpoint URLs and fills in default capabilities.
+export function expandServer(entry) {
+    const base = entry.baseUrl.replace(/\/+$/, '');
+    const endpoint = (path) => `${base}/api/${path}${entry.trailingSlash ? '/' : ''}`;
+    return {
+        ...entry,
+        tags: entry.tags || [],
+        capabilities: { ...DEFAULT_CAPABILITIES, ...entry.capabilities },
+        pingUrl: endpoint('ping'),
+        downloadUrl: endpoint('download'),
+        uploadUrl: endpoint('upload'),
+        metaUrl: endpoint('meta'),
+    };
+}
+
+// Validates a registry document ({ servers: [...] } or a bare array) and returns expanded servers.
+// Throws with every problem listed so a broken registry is easy to fix.
+export function parseRegistry(doc) {
+    const entries = Array.isArray(doc) ? doc : doc && doc.servers;
+    if (!Array.isArray(entries)) throw new Error('Server registry must be an array or an object with a "servers" array.');
+
+    const problems = [];
+    const names = new Set();
+    entries.forEach((entry, index) => {
+        const label = entry && entry.name ? `"${entry.name}"` : `#${index}`;
+        validateServer(entry).forEach(err => problems.push(`server ${label}: ${err}`));
+        if (entry && typeof entry.name === 'string') {
+            if (names.has(entry.name)) problems.push(`server ${label}: duplicate name`);
+            names.add(entry.name);
+        }
+    });
+    if (problems.length > 0) throw new Error(`Invalid server registry:\n${problems.join('\n')}`);
+
+    return entries.map(expandServer);
+}
+
+// Loads the registry served at `url` (/api/servers), falling back to the bundled copy when
+// the endpoint is unavailable, e.g. under `next dev`.
+export async function fetchServerRegistry(url = '/api/servers') {
+    try {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        return parseRegistry(await response.json());
+    } catch (error) {
+        console.error('Could not load server registry, using bundled list:', error);
+        return parseRegistry(SERVER_REGISTRY);
+    }
+}
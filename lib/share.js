@@ -0,0 +1,139 @@
+// lib/share.js
+// Shareable result links. A run is reduced to the figures shown in the results table,
+// packed into positional arrays, deflated and base64url encoded so it fits in a URL
+// path. Works in browsers and Node 18+ (CompressionStream, btoa/atob).
+import { RESPONSIVENESS_GRADES } from './stats.js';
+
+export const SHARE_VERSION = 1;
+export const SHARE_PATH = '/results/';
+// Links longer than this are rejected before decompressing
+export const MAX_SHARE_PAYLOAD_LENGTH = 8000;
+
+// Positional fields of one shared result row
+const ROW_FIELDS = ['name', 'provider', 'region', 'status', 'ping', 'jitter', 'lossPct', 'download', 'upload', 'grade', 'colo', 'protocol'];
+
+const round = (value, digits) => (typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+// '123.45' → 123.45; 'ERR', 'Disabled' and '--' are kept as they are
+const measurement = (value) => (Number.isFinite(parseFloat(value)) ? round(parseFloat(value), 2) : String(value ?? '--'));
+
+function toRow(result, server) {
+    return [
+        result.name,
+        server?.provider ?? null,
+        server?.region ?? null,
+        result.status,
+        measurement(result.ping),
+        round(result.pingStats?.jitter, 1),
+        round(result.pingStats?.lossPct, 0),
+        measurement(result.download),
+        measurement(result.upload),
+        result.responsiveness?.grade ?? null,
+        result.meta?.colo ?? null,
+        result.meta?.protocol ?? null,
+    ];
+}
+
+// What a decoded row may hold. Links are made by anyone, so every field is checked before
+// it is rendered; measurements are a number in range or one of the table's placeholders.
+const MAX_TEXT_LENGTH = 100;
+const MAX_MS = 10 * 60 * 1000;
+const MAX_MBPS = 1000 * 1000;
+const PLACEHOLDERS = ['--', 'ERR', 'Disabled'];
+const STATUSES = ['complete', 'error', 'cancelled', 'testing'];
+const GRADES = RESPONSIVENESS_GRADES.map(g => g.grade);
+
+const isText = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_TEXT_LENGTH;
+const optional = (check) => (value) => value === null || value === undefined || check(value);
+const inRange = (max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+const isMeasurement = (max) => (value) => inRange(max)(value) || PLACEHOLDERS.includes(value);
+
+const ROW_CHECKS = {
+    name: isText,
+    provider: optional(isText),
+    region: optional(isText),
+    status: optional(value => STATUSES.includes(value)),
+    ping: isMeasurement(MAX_MS),
+    jitter: optional(inRange(MAX_MS)),
+    lossPct: optional(inRange(100)),
+    download: isMeasurement(MAX_MBPS),
+    upload: isMeasurement(MAX_MBPS),
+    grade: optional(value => GRADES.includes(value)),
+    colo: optional(isText),
+    protocol: optional(isText),
+};
+
+const isValidRow = (row) => Array.isArray(row) && row.length <= ROW_FIELDS.length
+    && ROW_FIELDS.every((field, i) => ROW_CHECKS[field](row[i]));
+const isValidTimestamp = (t) => typeof t === 'number' && t > 0 && Number.isFinite(new Date(t).getTime());
+
+const fromRow = (row) => Object.fromEntries(ROW_FIELDS.map((field, i) => [field, row[i] ?? null]));
+
+// The shared figures of one result as a plain object ({ name, provider, ..., protocol }).
+export const summarizeResult = (result, server) => fromRow(toRow(result, server));
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Encodes a finished run (as stored in history) into a URL-safe payload.
+export async function encodeSharedRun(run) {
+    const servers = run.servers || [];
+    const doc = {
+        v: SHARE_VERSION,
+        t: run.finishedAt,
+        s: run.settings?.multiStream === false ? 1 : 0, // single-stream flag
+        r: run.results
+            .filter(result => result.status !== 'pending')
+            .map(result => toRow(result, servers.find(s => s.name === result.name))),
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(doc));
+    return toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+}
+
+// Decodes a payload from encodeSharedRun(); throws with a readable message if it is damaged.
+export async function decodeSharedRun(payload) {
+    if (typeof payload !== 'string' || payload.length === 0 || payload.length > MAX_SHARE_PAYLOAD_LENGTH || !/^[A-Za-z0-9_-]+$/.test(payload)) {
+        throw new Error('This results link is malformed.');
+    }
+    let doc;
+    try {
+        const bytes = await pipeBytes(fromBase64Url(payload), new DecompressionStream('deflate-raw'));
+        doc = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new Error('This results link is damaged or incomplete.');
+    }
+    if (!doc || doc.v !== SHARE_VERSION) throw new Error('This results link was made by an unsupported version.');
+    if (!isValidTimestamp(doc.t) || !Array.isArray(doc.r) || !doc.r.every(isValidRow)) {
+        throw new Error('This results link does not contain valid results.');
+    }
+    return { finishedAt: doc.t, singleStream: doc.s === 1, results: doc.r.map(fromRow) };
+}
+
+// Absolute link for a run, e.g. https://example.com/results/<payload>
+export async function buildShareUrl(run, origin) {
+    return `${origin}${SHARE_PATH}${await encodeSharedRun(run)}`;
+}
+
+// One-line summary used for link previews: the fastest download and the lowest ping.
+export function summarizeSharedRun({ results }) {
+    const numeric = (field) => results.filter(r => typeof r[field] === 'number');
+    const fastest = numeric('download').sort((a, b) => b.download - a.download)[0];
+    const closest = numeric('ping').sort((a, b) => a.ping - b.ping)[0];
+    const parts = [];
+    if (fastest) parts.push(`Fastest download ${fastest.download} Mbps (${fastest.name})`);
+    if (closest) parts.push(`lowest ping ${closest.ping} ms (${closest.name})`);
+    parts.push(`${results.length} server${results.length === 1 ? '' : 's'} tested`);
+    return parts.join(', ');
+}
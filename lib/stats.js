@@ -0,0 +1,63 @@
+// lib/stats.js
+// Latency statistics for ping samples. A sample of `null` is a lost (timed out or
+// failed) probe and only counts towards packet loss.
+
+// Linear-interpolated percentile of an ascending array.
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Mean absolute difference between consecutive RTTs (RFC 3550 style inter-arrival jitter,
+// without the exponential smoothing).
+export function jitter(rtts) {
+    if (rtts.length < 2) return 0;
+    let total = 0;
+    for (let i = 1; i < rtts.length; i++) total += Math.abs(rtts[i] - rtts[i - 1]);
+    return total / (rtts.length - 1);
+}
+
+export function summarizePings(samples) {
+    const received = samples.filter(s => s !== null);
+    const sorted = [...received].sort((a, b) => a - b);
+    const lossPct = samples.length > 0 ? ((samples.length - received.length) / samples.length) * 100 : 0;
+    if (received.length === 0) {
+        return { sent: samples.length, received: 0, lossPct, avg: null, min: null, median: null, p95: null, max: null, jitter: null, samples };
+    }
+    return {
+        sent: samples.length,
+        received: received.length,
+        lossPct,
+        avg: received.reduce((a, b) => a + b, 0) / received.length,
+        min: sorted[0],
+        median: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1],
+        jitter: jitter(received),
+        samples,
+    };
+}
+
+// Bufferbloat grade by median latency increase under load (thresholds follow the Waveform test).
+export const RESPONSIVENESS_GRADES = [
+    { maxIncreaseMs: 5, grade: 'A+' },
+    { maxIncreaseMs: 30, grade: 'A' },
+    { maxIncreaseMs: 60, grade: 'B' },
+    { maxIncreaseMs: 200, grade: 'C' },
+    { maxIncreaseMs: 400, grade: 'D' },
+    { maxIncreaseMs: Infinity, grade: 'F' },
+];
+
+// Grades the worst loaded phase against the idle baseline. RPM (round-trips per minute)
+// is derived from the worst loaded median RTT, as in Apple's responsiveness test.
+export function gradeResponsiveness(idleStats, loadedStats) {
+    const loaded = loadedStats.filter(s => s && s.median !== null);
+    if (!idleStats || idleStats.median === null || loaded.length === 0) return null;
+    const worstLoadedMs = Math.max(...loaded.map(s => s.median));
+    const increaseMs = Math.max(0, worstLoadedMs - idleStats.median);
+    const { grade } = RESPONSIVENESS_GRADES.find(g => increaseMs < g.maxIncreaseMs);
+    return { grade, increaseMs, rpm: Math.round(60000 / worstLoadedMs) };
+}
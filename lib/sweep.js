@@ -0,0 +1,56 @@
+// lib/sweep.js
+// Quick latency sweep: pings many servers in parallel (bounded concurrency) and ranks
+// them by round-trip time, so the throughput tests can be limited to the closest hosts.
+import { measurePing, TestAbortedError, DEFAULT_TEST_OPTIONS } from './measure.js';
+
+export const DEFAULT_SWEEP_OPTIONS = {
+    concurrency: 4,                                  // Hosts pinged at the same time
+    pingCount: 5,
+    pingTimeoutMs: DEFAULT_TEST_OPTIONS.pingTimeoutMs,
+    pingIntervalMs: 100,
+    requestTimeoutMs: DEFAULT_TEST_OPTIONS.requestTimeoutMs,
+};
+
+// Unreachable hosts (every ping lost, or the warm-up failed) rank last.
+const rtt = (entry) => (entry.stats && entry.stats.received > 0 ? entry.stats.avg : Infinity);
+
+// Pings every server and resolves with [{ server, stats, error }] sorted by average RTT.
+// onResult(entry, doneCount) fires as each host finishes. Aborting options.signal rejects
+// with a TestAbortedError.
+export async function sweepLatency(servers, options = {}, onResult = () => {}) {
+    const opts = { ...DEFAULT_SWEEP_OPTIONS, ...options };
+    const entries = [];
+    let next = 0;
+
+    const worker = async () => {
+        while (next < servers.length) {
+            if (opts.signal?.aborted) throw new TestAbortedError();
+            const server = servers[next++];
+            let entry;
+            try {
+                const stats = await measurePing(server.pingUrl, undefined, {
+                    count: opts.pingCount,
+                    timeoutMs: opts.pingTimeoutMs,
+                    intervalMs: opts.pingIntervalMs,
+                    requestTimeoutMs: opts.requestTimeoutMs,
+                    signal: opts.signal,
+                });
+                entry = { server, stats, error: null };
+            } catch (error) {
+                if (error instanceof TestAbortedError) throw error;
+                entry = { server, stats: null, error };
+            }
+            entries.push(entry);
+            onResult(entry, entries.length);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(1, opts.concurrency), servers.length) }, worker);
+    await Promise.all(workers);
+    return entries.sort((a, b) => rtt(a) - rtt(b) || servers.indexOf(a.server) - servers.indexOf(b.server));
+}
+
+// The `count` reachable servers with the lowest RTT, closest first.
+export function closestServers(entries, count) {
+    return entries.filter(entry => rtt(entry) !== Infinity).slice(0, count).map(entry => entry.server);
+}
@@ -0,0 +1,109 @@
+// lib/throughput.js
+// Time-boxed throughput meter used by the download and upload tests.
+// Transfers report bytes with addBytes(); the meter samples the rate on a fixed
+// interval, discards the TCP slow-start window and stops after a target duration,
+// once the post-warm-up rate has settled, or when the phase's data cap is reached.
+
+export const DEFAULT_METER_OPTIONS = {
+    durationMs: 10000,        // Hard stop for a single phase
+    warmupMs: 2000,           // Slow-start window excluded from the result
+    minDurationMs: 5000,      // Never stop on stability before this point
+    sampleIntervalMs: 250,
+    stableWindowMs: 2000,     // Window the running average must stay flat over...
+    stableTolerance: 0.03,    // ...within this relative spread
+    maxBytes: null,           // Data cap for the phase (metered connections); null for none
+};
+
+const toMbps = (bytes, ms) => (ms > 0 ? (bytes * 8) / (ms / 1000) / (1000 * 1000) : 0);
+
+export function createThroughputMeter(options = {}) {
+    const opts = { ...DEFAULT_METER_OPTIONS, ...options };
+    const stableCount = Math.max(2, Math.round(opts.stableWindowMs / opts.sampleIntervalMs));
+    const minDurationMs = Math.min(opts.minDurationMs, opts.durationMs);
+
+    let totalBytes = 0;
+    let startTime = null;
+    let warmupMark = null; // { t, bytes } at the end of the warm-up window
+    let finished = false;
+    let stoppedBy = null;
+    let timer = null;
+    let settle = null;
+    const samples = [];   // { t, mbps, warmup } instantaneous rate per interval
+    const averages = [];  // running post-warm-up average, one per interval
+
+    const result = () => {
+        const elapsed = (samples.length > 0 ? samples[samples.length - 1].t : 0);
+        // If the phase ended inside the warm-up window there is nothing better to report.
+        const mbps = warmupMark && elapsed > warmupMark.t
+            ? toMbps(totalBytes - warmupMark.bytes, elapsed - warmupMark.t)
+            : toMbps(totalBytes, elapsed);
+        return { mbps, bytes: totalBytes, durationMs: elapsed, warmupMs: warmupMark ? warmupMark.t : elapsed, stoppedBy, samples: samples.slice() };
+    };
+
+    const finish = (reason, error) => {
+        if (finished) return;
+        finished = true;
+        stoppedBy = reason;
+        clearInterval(timer);
+        if (!settle) return;
+        if (error) settle.reject(error);
+        else settle.resolve(result());
+    };
+
+    const tick = (now) => {
+        const t = now - startTime;
+        const prev = samples.length > 0 ? samples[samples.length - 1] : { t: 0, bytes: 0 };
+        samples.push({ t, bytes: totalBytes, mbps: toMbps(totalBytes - prev.bytes, t - prev.t), warmup: t <= opts.warmupMs });
+
+        if (t > opts.warmupMs) {
+            if (!warmupMark) warmupMark = { t: prev.t, bytes: prev.bytes };
+            averages.push(toMbps(totalBytes - warmupMark.bytes, t - warmupMark.t));
+        }
+
+        if (t >= opts.durationMs) return finish('duration');
+        if (t >= minDurationMs && averages.length >= stableCount) {
+            const recent = averages.slice(-stableCount);
+            const max = Math.max(...recent);
+            const min = Math.min(...recent);
+            if (max > 0 && (max - min) / max <= opts.stableTolerance) finish('stable');
+        }
+    };
+
+    return {
+        get finished() { return finished; },
+        get elapsedMs() { return startTime === null ? 0 : performance.now() - startTime; },
+        durationMs: opts.durationMs,
+
+        addBytes(bytes) {
+            if (finished) return;
+            totalBytes += bytes;
+            if (opts.maxBytes !== null && totalBytes >= opts.maxBytes && startTime !== null) {
+                tick(performance.now());
+                finish('bytes');
+            }
+        },
+
+        // Starts sampling; resolves with the result once the phase is over.
+        run(onSample) {
+            startTime = performance.now();
+            return new Promise((resolve, reject) => {
+                settle = { resolve, reject };
+                timer = setInterval(() => {
+                    tick(performance.now());
+                    if (onSample && samples.length > 0) onSample(samples[samples.length - 1], Math.min(100, (samples[samples.length - 1].t / opts.durationMs) * 100));
+                }, opts.sampleIntervalMs);
+            });
+        },
+
+        // Ends the phase early because a transfer failed.
+        fail(error) {
+            finish('error', error);
+        },
+
+        // Ends the phase early because every transfer completed on its own.
+        complete() {
+            if (startTime !== null && !finished) tick(performance.now());
+            finish('complete');
+        },
+    };
+}
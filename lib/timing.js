@@ -0,0 +1,63 @@
+// lib/timing.js
+// Per-request phase breakdown from the Resource Timing API: DNS lookup, TCP connect, TLS
+// handshake, time to first byte and transfer, in milliseconds. Hosts must send
+// Timing-Allow-Origin (see lib/http.js); otherwise only the total is known.
+
+export const TIMING_PHASES = [
+    { key: 'dns', label: 'DNS' },
+    { key: 'connect', label: 'Connect' },
+    { key: 'tls', label: 'TLS' },
+    { key: 'ttfb', label: 'TTFB' },
+    { key: 'transfer', label: 'Transfer' },
+];
+
+const round = (ms) => Math.round(Math.max(0, ms) * 10) / 10;
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// { dns, connect, tls, ttfb, transfer, total, reused, protocol } for one entry. `restricted`
+// entries (no Timing-Allow-Origin) only have total and protocol. `reused` means the request
+// went over an existing connection, so it paid no DNS, connect or TLS time.
+export function timingBreakdown(entry) {
+    const total = round(entry.duration);
+    const protocol = entry.nextHopProtocol || null;
+    if (entry.responseStart === 0) return { restricted: true, total, protocol };
+    const tlsStart = entry.secureConnectionStart > 0 ? entry.secureConnectionStart : entry.connectEnd;
+    return {
+        dns: round(entry.domainLookupEnd - entry.domainLookupStart),
+        connect: round(tlsStart - entry.connectStart),
+        tls: round(entry.connectEnd - tlsStart),
+        ttfb: round(entry.responseStart - entry.requestStart),
+        transfer: round(entry.responseEnd - entry.responseStart),
+        total,
+        reused: entry.connectEnd === entry.connectStart && entry.domainLookupEnd === entry.domainLookupStart,
+        protocol,
+    };
+}
+
+// Breakdown of the most recent request to `url`, or null where Resource Timing is unavailable
+// or the entry was not recorded (e.g. the buffer was full).
+export function readResourceTiming(url) {
+    const entries = globalThis.performance?.getEntriesByName?.(url, 'resource') || [];
+    return entries.length > 0 ? timingBreakdown(entries[entries.length - 1]) : null;
+}
+
+// Per-phase median over several breakdowns, e.g. the steady-state pings. Null if none are usable.
+export function medianTiming(timings) {
+    const usable = timings.filter(t => t && !t.restricted);
+    if (usable.length === 0) return timings.find(t => t) || null;
+    const summary = { total: round(median(usable.map(t => t.total))), reused: usable.every(t => t.reused), protocol: usable[0].protocol };
+    TIMING_PHASES.forEach(({ key }) => {
+        summary[key] = round(median(usable.map(t => t[key])));
+    });
+    return summary;
+}
+
+// The browser keeps only ~250 entries by default and drops new ones once full; the loaded
+// latency probes alone can fill that during one server, so each server test starts empty.
+export function clearResourceTimings() {
+    globalThis.performance?.clearResourceTimings?.();
+}
@@ -0,0 +1,112 @@
+// lib/uploadPayload.js
+// Upload request bodies. All of them are cut from one random pool of RANDOM_POOL_BYTES.
+// The pool is generated once per page, in a Web Worker where available, so a test never
+// allocates a buffer per request on the main thread. Random bytes keep compressing proxies
+// and WAN optimisers from inflating the result. Bodies are either streamed (fetch with a
+// ReadableStream) or a Blob built from the pool (XHR), so their size is limited by what the
+// host accepts, not by the JS heap.
+import { RANDOM_POOL_BYTES, PAYLOAD_CHUNK_BYTES, CRYPTO_FILL_LIMIT, fillRandom } from './payload.js';
+
+// Runs in the worker: fills a buffer of the requested size with the same fillRandom() as the
+// fallback below and transfers it back without a copy
+const WORKER_SOURCE = `const fillRandom = ${fillRandom.toString()};
+self.onmessage = (event) => {
+    const bytes = fillRandom(new Uint8Array(event.data), ${CRYPTO_FILL_LIMIT});
+    self.postMessage(bytes.buffer, [bytes.buffer]);
+};`;
+
+function generateInWorker(size) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+        const finish = () => {
+            worker.terminate();
+            URL.revokeObjectURL(url);
+        };
+        worker.onmessage = (event) => {
+            finish();
+            resolve(new Uint8Array(event.data));
+        };
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message || 'Payload worker failed'));
+        };
+        worker.postMessage(size);
+    });
+}
+
+let poolPromise = null;
+
+// Resolves with the shared pool. Falls back to the calling thread (Node, or a page whose
+// Content Security Policy blocks blob: workers); that takes a few milliseconds, once.
+export function loadUploadPool() {
+    if (!poolPromise) {
+        const generate = typeof Worker !== 'undefined' && typeof URL.createObjectURL === 'function'
+            ? generateInWorker(RANDOM_POOL_BYTES).catch(() => fillRandom(new Uint8Array(RANDOM_POOL_BYTES)))
+            : Promise.resolve(fillRandom(new Uint8Array(RANDOM_POOL_BYTES)));
+        poolPromise = generate;
+    }
+    return poolPromise;
+}
+
+// Each body starts at a random offset in the pool, so concurrent streams and repeated
+// requests do not send the same bytes in step.
+const randomOffset = () => Math.floor(Math.random() * RANDOM_POOL_BYTES);
+
+// `size` bytes of the pool as a ReadableStream of PAYLOAD_CHUNK_BYTES slices. onPull(bytes)
+// runs each time the network stack takes a slice, and with 0 when the body is complete.
+// Slices are copied, since a stream may transfer (detach) the chunks it is given.
+export function createUploadStream(pool, size, onPull = () => {}) {
+    let sent = 0;
+    let position = randomOffset();
+    return new ReadableStream({
+        pull(controller) {
+            if (sent >= size) {
+                onPull(0);
+                controller.close();
+                return;
+            }
+            const length = Math.min(PAYLOAD_CHUNK_BYTES, size - sent, RANDOM_POOL_BYTES - position);
+            controller.enqueue(pool.slice(position, position + length));
+            sent += length;
+            position = (position + length) % RANDOM_POOL_BYTES;
+            onPull(length);
+        },
+    });
+}
+
+// `size` bytes of the pool as a Blob, for XHR, which cannot send streams. The browser keeps
+// the bytes outside the JS heap and may page large Blobs to disk. Build one per phase and
+// reuse it for every request. A body larger than the pool repeats it.
+export function createUploadBlob(pool, size) {
+    const parts = [];
+    let remaining = size;
+    let position = randomOffset();
+    while (remaining > 0) {
+        const length = Math.min(remaining, RANDOM_POOL_BYTES - position);
+        parts.push(pool.subarray(position, position + length));
+        remaining -= length;
+        position = (position + length) % RANDOM_POOL_BYTES;
+    }
+    return new Blob(parts, { type: 'application/octet-stream' });
+}
+
+// Whether fetch can send a ReadableStream body (Chromium 105+ and Node). Other browsers
+// ignore `duplex` and would send the text "[object ReadableStream]", which sets a
+// Content-Type; see https://developer.chrome.com/docs/capabilities/web-apis/fetch-streaming-requests
+export function supportsRequestStreams() {
+    try {
+        let duplexAccessed = false;
+        const hasContentType = new Request('http://localhost/', {
+            method: 'POST',
+            body: new ReadableStream(),
+            get duplex() {
+                duplexAccessed = true;
+                return 'half';
+            },
+        }).headers.has('Content-Type');
+        return duplexAccessed && !hasContentType;
+    } catch {
+        return false;
+    }
+}
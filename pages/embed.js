@@ -0,0 +1,190 @@
+import { useState, useEffect, useRef } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { fetchServerRegistry } from '../lib/servers';
+import { testServer, TestAbortedError } from '../lib/measure';
+import { TEST_PROFILES, matchProfile, testOptions } from '../lib/profiles';
+import { parseEmbedQuery, parseEmbedCommand, connectToParent } from '../lib/embed';
+import { summarizeResult } from '../lib/share';
+import GradeBadge from '../components/GradeBadge';
+
+// --- Embeddable Widget ---
+// Minimal speed test for iframes on other sites, configured by query parameters and driven
+// through the postMessage protocol in lib/embed.js. Runs the registry servers only: saved
+// custom servers live in the main page's storage, which an embedded frame does not share.
+
+const profileLabel = (settings) => {
+    const key = matchProfile(settings);
+    return (TEST_PROFILES.find(p => p.key === key) || { label: 'Custom' }).label;
+};
+
+export default function Embed() {
+    const router = useRouter();
+    const [config, setConfig] = useState(null); // parseEmbedQuery() result once the registry has loaded
+    const [isTesting, setIsTesting] = useState(false);
+    const [statusMessage, setStatusMessage] = useState('Loading servers...');
+    const [progress, setProgress] = useState(null); // { server, index, total, phase, percent, overall, mbps }
+    const [results, setResults] = useState([]);
+    const channelRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    // The message listener and the setup effect outlive renders, so they reach the current handlers through these refs
+    const commandRef = useRef(() => {});
+    const runTestsRef = useRef(null);
+
+    const post = (type, payload) => channelRef.current?.post(type, payload);
+
+    const runTests = async (servers, settings) => {
+        if (abortControllerRef.current) return;
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setIsTesting(true);
+        setResults([]);
+        const startedAt = Date.now();
+        const finished = [];
+        post('started', { servers: servers.map(s => s.name), profile: matchProfile(settings), settings });
+
+        for (let i = 0; i < servers.length && !controller.signal.aborted; i++) {
+            const server = servers[i];
+            let current = { server: server.name, index: i, total: servers.length, phase: 'ping', percent: 0, overall: (i / servers.length) * 100, mbps: null };
+            const report = (patch) => {
+                current = { ...current, ...patch };
+                setProgress(current);
+                post('progress', current);
+            };
+            report({});
+            let result;
+            try {
+                result = await testServer(server, { ...testOptions(settings, server), signal: controller.signal }, {
+                    onStatus: setStatusMessage,
+                    onProgress: (percent) => report({ percent: Math.round(percent), overall: ((i + percent / 100) / servers.length) * 100 }),
+                    onSample: (phase, sample) => report({ phase, mbps: Number(sample.mbps.toFixed(2)) }),
+                    onError: (phase, error) => console.error(`${phase} test failed for ${server.name}:`, error),
+                });
+            } catch (error) {
+                if (error instanceof TestAbortedError) break;
+                console.error(`Test failed for ${server.name}:`, error);
+                result = { name: server.name, ping: 'ERR', download: 'ERR', upload: 'ERR', status: 'error' };
+            }
+            const summary = summarizeResult(result, server);
+            finished.push(summary);
+            setResults([...finished]);
+            post('result', { index: i, total: servers.length, result: summary });
+        }
+
+        const stopped = controller.signal.aborted;
+        abortControllerRef.current = null;
+        setIsTesting(false);
+        setProgress(null);
+        setStatusMessage(stopped ? 'Test stopped.' : 'Test complete.');
+        post('done', { results: finished, stopped, startedAt, finishedAt: Date.now() });
+    };
+
+    runTestsRef.current = runTests;
+    const stopTests = () => abortControllerRef.current?.abort();
+
+    commandRef.current = (data) => {
+        if (!config) return;
+        const command = parseEmbedCommand(data, config.servers);
+        if (!command) return;
+        if (command.error) {
+            post('error', { message: command.error });
+        } else if (command.type === 'stop') {
+            stopTests();
+        } else if (abortControllerRef.current) {
+            post('error', { message: 'a test is already running; send "stop" first' });
+        } else {
+            runTests(command.servers || config.servers, command.settings || config.settings);
+        }
+    };
+
+    // Configure from the query string once it is available, then announce readiness
+    useEffect(() => {
+        if (!router.isReady) return;
+        let cancelled = false;
+        let channel = null;
+        const setup = async () => {
+            const parsed = parseEmbedQuery(router.query, await fetchServerRegistry());
+            if (cancelled) return;
+            channel = connectToParent({ parentOrigin: parsed.parentOrigin, onCommand: (data) => commandRef.current(data) });
+            channelRef.current = channel;
+            setConfig(parsed);
+            setStatusMessage(parsed.servers.length > 0 ? 'Ready.' : 'No servers to test.');
+            if (parsed.unknown.length > 0) channel.post('error', { message: `unknown server${parsed.unknown.length === 1 ? '' : 's'}: ${parsed.unknown.join(', ')}` });
+            channel.post('ready', { servers: parsed.servers.map(s => s.name), profile: matchProfile(parsed.settings), settings: parsed.settings });
+            if (parsed.autostart && parsed.servers.length > 0) runTestsRef.current(parsed.servers, parsed.settings);
+        };
+        setup();
+        return () => {
+            cancelled = true;
+            if (channel) channel.close();
+            channelRef.current = null;
+        };
+    }, [router.isReady, router.query]);
+
+    // Stop in-flight transfers if the frame is removed mid-test
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+    return (
+        <div className="bg-slate-900 text-white min-h-screen p-3 text-sm" style={{ fontFamily: "'Inter', sans-serif" }}>
+            <Head>
+                <title>Speed test</title>
+                <meta name="robots" content="noindex" />
+            </Head>
+            <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                    <h1 className="font-semibold text-slate-100">Connection test</h1>
+                    {config && (
+                        <p className="text-xs text-slate-400 truncate">
+                            {config.servers.length} server{config.servers.length === 1 ? '' : 's'} · {profileLabel(config.settings)} profile
+                        </p>
+                    )}
+                </div>
+                <button
+                    onClick={() => (isTesting ? stopTests() : runTests(config.servers, config.settings))}
+                    disabled={!config || config.servers.length === 0}
+                    className={`flex-shrink-0 px-4 py-2 rounded-lg font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${isTesting ? 'bg-red-500 hover:bg-red-600' : 'bg-sky-500 hover:bg-sky-600'}`}
+                >
+                    {isTesting ? 'Stop' : 'Start'}
+                </button>
+            </div>
+
+            <p className="mt-2 text-xs text-slate-400 truncate" aria-live="polite">{statusMessage}</p>
+            {progress && (
+                <div className="mt-2">
+                    <div className="flex justify-between text-xs text-slate-400 mb-1">
+                        <span>{progress.server} · {progress.phase}</span>
+                        <span className="font-mono">{progress.mbps !== null && progress.phase !== 'ping' ? `${progress.mbps.toFixed(1)} Mbps` : `${Math.round(progress.overall)}%`}</span>
+                    </div>
+                    <div className="w-full bg-slate-700/50 rounded-full h-1.5">
+                        <div className="bg-gradient-to-r from-sky-500 to-cyan-400 h-1.5 rounded-full transition-all duration-300" style={{ width: `${progress.overall}%` }}></div>
+                    </div>
+                </div>
+            )}
+
+            {results.length > 0 && (
+                <table className="w-full mt-3 text-xs">
+                    <thead>
+                        <tr className="text-slate-400 border-b border-slate-700">
+                            <th className="text-left py-1 pr-2 font-medium">Server</th>
+                            <th className="text-right py-1 px-2 font-medium">Ping</th>
+                            <th className="text-right py-1 px-2 font-medium">Down</th>
+                            <th className="text-right py-1 px-2 font-medium">Up</th>
+                            <th className="text-right py-1 pl-2 font-medium">Grade</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {results.map(r => (
+                            <tr key={r.name} className="border-b border-slate-800 last:border-0">
+                                <td className="py-1 pr-2 text-slate-200 truncate">{r.name}</td>
+                                <td className="py-1 px-2 text-right font-mono">{typeof r.ping === 'number' ? `${r.ping} ms` : r.ping}</td>
+                                <td className="py-1 px-2 text-right font-mono">{typeof r.download === 'number' ? `${r.download} Mbps` : r.download}</td>
+                                <td className="py-1 px-2 text-right font-mono">{typeof r.upload === 'number' ? `${r.upload} Mbps` : r.upload}</td>
+                                <td className="py-1 pl-2 text-right">{r.grade && <GradeBadge grade={r.grade} title="Bufferbloat grade">{r.grade}</GradeBadge>}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
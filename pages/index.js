@@ -1,4 +1,27 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { fetchServerRegistry, expandServer } from '../lib/servers';
+import { loadCustomServers, saveCustomServers, isCustomServer } from '../lib/customServers';
+import { testServer, TestAbortedError } from '../lib/measure';
+import { sweepLatency, closestServers } from '../lib/sweep';
+import { loadHistory, saveRun, importRuns, deleteRun, clearHistory, createRunId } from '../lib/history';
+import HistoryPanel from '../components/HistoryPanel';
+import GradeBadge from '../components/GradeBadge';
+import MonitorPanel from '../components/MonitorPanel';
+import ServerForm from '../components/ServerForm';
+import LiveThroughput from '../components/LiveThroughput';
+import BestHostCard from '../components/BestHostCard';
+import TimingBreakdown from '../components/TimingBreakdown';
+import ThroughputChart from '../components/ThroughputChart';
+import ProfileEditor from '../components/ProfileEditor';
+import { DEFAULT_PROFILE_KEY, PROFILE_QUERY_KEYS, profileSettings, testOptions, matchProfile, profileToQuery, profileFromQuery, estimateDataUsage } from '../lib/profiles';
+import { RANKED_METRICS, DEFAULT_SCORE_WEIGHTS, loadScoreWeights, saveScoreWeights, sortResults, columnWinners, scoreResults } from '../lib/ranking';
+import { metricValue } from '../lib/history';
+import { DEFAULT_MONITOR_SETTINGS, loadMonitorSettings, saveMonitorSettings, evaluateAlerts, showAlertNotification, sendAlertWebhook, createMonitorScheduler } from '../lib/monitor';
+import { buildJsonExport, buildCsvExport, parseJsonImport, saveFile } from '../lib/export';
+import { buildShareUrl } from '../lib/share';
+import { loadCollectOptIn, saveCollectOptIn, submitResults } from '../lib/collect';
 
 export const metadata = { icons: { icon: '/icon.png' } }
 
@@ -27,6 +50,18 @@ const ExclamationTriangleIcon = () => (
     </svg>
 );
 
+const PauseIcon = () => (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-6 h-6">
+        <path fillRule="evenodd" d="M6.75 5.25a.75.75 0 0 1 .75-.75H9a.75.75 0 0 1 .75.75v13.5a.75.75 0 0 1-.75.75H7.5a.75.75 0 0 1-.75-.75V5.25Zm7.5 0A.75.75 0 0 1 15 4.5h1.5a.75.75 0 0 1 .75.75v13.5a.75.75 0 0 1-.75.75H15a.75.75 0 0 1-.75-.75V5.25Z" clipRule="evenodd" />
+    </svg>
+);
+
+const StopIcon = () => (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-6 h-6">
+        <path fillRule="evenodd" d="M4.5 7.5a3 3 0 0 1 3-3h9a3 3 0 0 1 3 3v9a3 3 0 0 1-3 3h-9a3 3 0 0 1-3-3v-9Z" clipRule="evenodd" />
+    </svg>
+);
+
 // --- **NEW** Icons for selection ---
 const CheckboxCheckedIcon = () => (
     <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-6 h-6 text-sky-400">
@@ -43,32 +78,17 @@ const CheckboxUncheckedIcon = () => (
 );
 
 
-// --- SERVER CONFIGURATION ---
-const SERVERS = [
-    { name: 'Azure (Free Next.JS AU South East)', pingUrl: 'https://speedjstest-egazh8d6gkdfefar.australiasoutheast-01.azurewebsites.net/api/ping', downloadUrl: 'https://speedjstest-egazh8d6gkdfefar.australiasoutheast-01.azurewebsites.net/api/download', uploadUrl: 'https://speedjstest-egazh8d6gkdfefar.australiasoutheast-01.azurewebsites.net/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Azure (Free VM AU East)', pingUrl: 'https://js.azure.xiliourt.ovh/api/ping', downloadUrl: 'https://js.azure.xiliourt.ovh/api/download', uploadUrl: 'https://js.azure.xiliourt.ovh/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Vercel (Edge CDN)', pingUrl: 'https://speedtestjs.vercel.app/api/ping', downloadUrl: 'https://speedtestjs.vercel.app/api/download', uploadUrl: 'https://speedtestjs.vercel.app/api/upload', maxUpload: '4194304'}, //4MB
-    { name: 'Render', pingUrl: 'https://renderjsspeedtest.onrender.com/api/ping', downloadUrl: 'https://renderjsspeedtest.onrender.com/api/download', uploadUrl: 'https://renderjsspeedtest.onrender.com/api/upload', maxUpload: '27262976'}, // 26MB
-    { name: 'Netlify (CDN)', pingUrl: 'https://speedtestnextjs.netlify.app/api/ping', downloadUrl: 'https://speedtestnextjs.netlify.app/api/download', uploadUrl: 'https://speedtestnextjs.netlify.app/api/upload', maxUpload: '4194304'}, // 4MB
-    { name: 'Cloudflare (Global CDN)', pingUrl: 'https://speedtestjs.pages.dev/api/ping', downloadUrl: 'https://speedtestjs.pages.dev/api/download', uploadUrl: 'https://speedtestjs.pages.dev/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Sydney, AU (Onidel)', pingUrl: 'https://js.s.xiliourt.ovh/api/ping', downloadUrl: 'https://js.s.xiliourt.ovh/api/download', uploadUrl: 'https://js.s.xiliourt.ovh/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Sydney, AU (via CF)', pingUrl: 'https://jsscf.xiliourt.ovh/api/ping', downloadUrl: 'https://jsscf.xiliourt.ovh/api/download', uploadUrl: 'https://jsscf.xiliourt.ovh/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Stockholm (Hosthatch)', pingUrl: 'https://js.sto.xiliourt.ovh/api/ping', downloadUrl: 'https://js.sto.xiliourt.ovh/api/download', uploadUrl: 'https://js.sto.xiliourt.ovh/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Stockholm (via CF)', pingUrl: 'https://jsstocf.xiliourt.ovh/api/ping', downloadUrl: 'https://jsstocf.xiliourt.ovh/api/download', uploadUrl: 'https://jsstocf.xiliourt.ovh/api/upload', maxUpload: '27262976' }, // 26MB
-    { name: 'Germany (Hostbrr)', pingUrl: 'https://hostbrr.xiliourt.ovh/api/ping/', downloadUrl: 'https://hostbrr.xiliourt.ovh/api/download/', uploadUrl: 'https://hostbrr.xiliourt.ovh/api/upload/', maxUpload: '0' } // Disable upload
-];
 
 // --- TEST CONFIGURATION ---
-const PING_COUNT = 10;
-const PING_TIMEOUT_MS = 2000;
-const INITIAL_DOWNLOAD_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
-const LARGE_DOWNLOAD_SIZE_BYTES = 50 * 1024 * 1024; // 50MB
-const SUPER_DOWNLOAD_SIZE_BYTES = 100 * 1024 * 1024; // 50MB
-const INITIAL_UPLOAD_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
-const LARGE_UPLOAD_SIZE_BYTES = 25 * 1024 * 1024; // 25MB
-const FAST_CONNECTION_THRESHOLD_MBPS = 50;
-const SUPER_CONNECTION_THRESHOLD_MBPS = 200;
-const FAST_CONNECTION_THRESHOLD_UP_MBPS = 10;
+// The user-adjustable test settings and their presets live in lib/profiles.js
+// Latency sweep: how many of the closest servers get the full throughput test
+const BEST_SERVER_COUNT = 3;
+const MONITOR_ALERT_LIMIT = 20;
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const emptyResult = (name) => ({ name, ping: '--', download: '--', upload: '--', status: 'pending' }); // pending, testing, complete, error, cancelled
 
 // --- Main App Component ---
 export default function App() {
@@ -77,18 +97,181 @@ export default function App() {
     const [statusMessage, setStatusMessage] = useState('Select servers and click "Start Tests" to begin.');
     const [currentTestProgress, setCurrentTestProgress] = useState(0);
     const [overallProgress, setOverallProgress] = useState(0);
+    // Throughput samples of the server under test, per phase, for the live gauge and charts
+    const [liveThroughput, setLiveThroughput] = useState(null); // { server, phase, download: [], upload: [] }
+    const [servers, setServers] = useState([]);
+    // Servers added from the UI (registry entries, persisted locally) and the open add/edit form
+    const [customServers, setCustomServers] = useState([]);
+    const [serverForm, setServerForm] = useState(null); // null, { entry: null } to add, { entry } to edit
     // **NEW**: State to manage which servers are selected for testing.
-    const [selectedServers, setSelectedServers] = useState(() => new Set(SERVERS.map(s => s.name)));
+    const [selectedServers, setSelectedServers] = useState(() => new Set());
+    // Test settings (see lib/profiles.js), mirrored into the URL query string
+    const router = useRouter();
+    const [testSettings, setTestSettings] = useState(() => profileSettings(DEFAULT_PROFILE_KEY));
+    const { pingTimeoutMs, requestTimeoutMs, testDurationMs } = testSettings;
+    const profileKey = matchProfile(testSettings);
+    const queryAppliedRef = useRef(false);
+    // Stop aborts the in-flight requests through this controller; pause holds the queue between servers
+    const abortControllerRef = useRef(null);
+    const pauseRef = useRef(false);
+    const [isPaused, setIsPaused] = useState(false);
+    // Sweep mode pings every selected server in parallel first and only tests the closest ones
+    const [sweepFirst, setSweepFirst] = useState(false);
+    const [bestCount, setBestCount] = useState(BEST_SERVER_COUNT);
+    const [history, setHistory] = useState([]);
+    const [lastRun, setLastRun] = useState(null);
+    const importInputRef = useRef(null);
+    const [shareMessage, setShareMessage] = useState('');
+    const [view, setView] = useState('results'); // results, history
+    // Table view: sort column, provider / region-or-tag filters and the overall score weights
+    const [sortKey, setSortKey] = useState('default'); // default, ping, download, upload
+    const [filters, setFilters] = useState({ provider: 'all', tag: 'all' });
+    const [scoreWeights, setScoreWeights] = useState(DEFAULT_SCORE_WEIGHTS);
+    // Opt-in contribution of finished runs to /api/results, and how the last one went
+    const [collectOptIn, setCollectOptIn] = useState(false);
+    const [collectMessage, setCollectMessage] = useState('');
+    // Rows showing their timing breakdown and throughput curves; kept here since ResultRow remounts on every render
+    const [expandedRows, setExpandedRows] = useState(() => new Set());
+    // Run in progress; recorded to history once isTesting drops back to false
+    const pendingRunRef = useRef(null);
+    // Monitoring re-runs the selected servers on a schedule and alerts on new threshold breaches
+    const [monitorSettings, setMonitorSettings] = useState(DEFAULT_MONITOR_SETTINGS);
+    const [isMonitoring, setIsMonitoring] = useState(false);
+    const [nextMonitorRunAt, setNextMonitorRunAt] = useState(null);
+    const [skippedMonitorRuns, setSkippedMonitorRuns] = useState(0);
+    const [monitorAlerts, setMonitorAlerts] = useState([]);
+    const [notificationNote, setNotificationNote] = useState('');
+    const monitorRef = useRef(null);
+    const lastMonitoredResultsRef = useRef(null);
+    // The scheduler outlives renders, so it reaches the current state through these refs
+    const monitorRunRef = useRef(null);
+    const isTestingRef = useRef(false);
+    isTestingRef.current = isTesting;
+
+    useEffect(() => {
+        setHistory(loadHistory());
+        setMonitorSettings(loadMonitorSettings());
+        setScoreWeights(loadScoreWeights());
+        setCollectOptIn(loadCollectOptIn());
+    }, []);
+
+    // A link with ?profile=... opens with those settings; afterwards the URL follows the settings
+    // (replaced, not pushed, so changing settings does not fill the back button).
+    useEffect(() => {
+        if (!router.isReady) return;
+        if (!queryAppliedRef.current) {
+            queryAppliedRef.current = true;
+            const fromQuery = profileFromQuery(router.query);
+            if (fromQuery) {
+                setTestSettings(fromQuery);
+                return;
+            }
+        }
+        const query = Object.fromEntries(Object.entries(router.query).filter(([key]) => !PROFILE_QUERY_KEYS.includes(key)));
+        Object.assign(query, profileToQuery(testSettings));
+        const current = Object.fromEntries(Object.entries(router.query).map(([key, value]) => [key, String(value)]));
+        if (JSON.stringify(query) === JSON.stringify(current)) return;
+        router.replace({ pathname: router.pathname, query }, undefined, { shallow: true, scroll: false });
+    }, [router, testSettings]);
+
+    // Persist a finished run. Runs here rather than at the end of startAllTests so the
+    // final result updates have been applied to testResults.
+    useEffect(() => {
+        const run = pendingRunRef.current;
+        if (isTesting || !run) return;
+        pendingRunRef.current = null;
+        const finishedRun = {
+            ...run,
+            finishedAt: Date.now(),
+            results: testResults.filter(r => run.serverNames.includes(r.name)),
+        };
+        setLastRun(finishedRun);
+        setHistory(saveRun(finishedRun));
+        if (collectOptIn) {
+            submitResults(finishedRun)
+                .then(receipt => setCollectMessage(receipt ? `Contributed ${receipt.accepted} result${receipt.accepted === 1 ? '' : 's'}` : ''))
+                .catch(error => setCollectMessage(`Not contributed: ${error.message}`));
+        }
+
+        // Alerts only fire for conditions that were not already present in the previous monitored run
+        if (run.trigger !== 'monitor') return;
+        const alerts = evaluateAlerts(finishedRun.results, lastMonitoredResultsRef.current, monitorSettings.thresholds);
+        lastMonitoredResultsRef.current = finishedRun.results;
+        if (alerts.length === 0) return;
+        setMonitorAlerts(prev => [...alerts.map(a => ({ ...a, at: finishedRun.finishedAt })), ...prev].slice(0, MONITOR_ALERT_LIMIT));
+        if (monitorSettings.notify) showAlertNotification(alerts);
+        if (monitorSettings.webhookUrl) {
+            sendAlertWebhook(monitorSettings.webhookUrl, alerts, finishedRun).catch(error => console.error('Alert webhook failed:', error));
+        }
+    }, [isTesting, testResults, monitorSettings, collectOptIn]);
+
+    // --- Export / Import ---
+    // Exports the last completed (or imported) run together with the saved history.
+    const handleExport = (type) => {
+        if (!lastRun) return;
+        const stamp = new Date(lastRun.finishedAt).toISOString().replace(/[:.]/g, '-');
+        if (type === 'csv') {
+            saveFile(`speedtest-${stamp}.csv`, buildCsvExport({ run: lastRun, history }), 'text/csv');
+        } else {
+            saveFile(`speedtest-${stamp}.json`, buildJsonExport({ run: lastRun, history }), 'application/json');
+        }
+    };
+
+    // Copies a permalink to the last run; falls back to a prompt where the clipboard is unavailable.
+    const handleShare = async () => {
+        if (!lastRun) return;
+        try {
+            const url = await buildShareUrl(lastRun, window.location.origin);
+            try {
+                await navigator.clipboard.writeText(url);
+                setShareMessage('Link copied');
+            } catch {
+                window.prompt('Copy this link to share the results:', url);
+            }
+        } catch (error) {
+            console.error('Could not create share link:', error);
+            setShareMessage('Sharing failed');
+        }
+        setTimeout(() => setShareMessage(''), 3000);
+    };
+
+    // Rehydrates the results table from an exported JSON file and adds its runs to history for comparison.
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const { run, history: importedHistory } = parseJsonImport(await file.text());
+            const imported = new Map(run.results.map(r => [r.name, r]));
+            setTestResults(prev => [
+                ...prev.map(r => imported.get(r.name) || r),
+                ...run.results.filter(r => !prev.some(p => p.name === r.name)),
+            ]);
+            setLastRun(run);
+            setHistory(importRuns([run, ...importedHistory].map(r => ({ ...r, imported: true }))));
+        } catch (error) {
+            console.error('Import failed:', error);
+            window.alert(`Import failed: ${error.message}`);
+        }
+    };
 
-    // Initialize results on component mount
+    // Load the server registry on component mount, falling back to the bundled copy
     useEffect(() => {
-        setTestResults(SERVERS.map(s => ({
-            name: s.name,
-            ping: '--',
-            download: '--',
-            upload: '--',
-            status: 'pending' // pending, testing, complete, error
-        })));
+        let cancelled = false;
+        const loadServers = async () => {
+            // Servers are served by /api/servers (see lib/servers.js)
+            let loaded = await fetchServerRegistry();
+            if (cancelled) return;
+            // Saved custom servers follow the registry; one that now clashes with a registry name is skipped
+            const custom = loadCustomServers().filter(entry => !loaded.some(s => s.name === entry.name));
+            loaded = [...loaded, ...custom.map(expandServer)];
+            setCustomServers(custom);
+            setServers(loaded);
+            setSelectedServers(new Set(loaded.map(s => s.name)));
+            setTestResults(loaded.map(s => emptyResult(s.name)));
+        };
+        loadServers();
+        return () => { cancelled = true; };
     }, []);
 
     // **NEW**: Handler to toggle a server's selected state
@@ -105,242 +288,324 @@ export default function App() {
         });
     };
     
-    // --- Core Measurement Functions (unchanged) ---
-    const measurePing = async (pingUrl, onProgress) => {
-        let pings = [];
-        const pingProgressIncrement = 100 / PING_COUNT;
-        // Warm up the server
-        await fetch(`${pingUrl}`, { method: 'GET', cache: 'no-store' });
-        for (let i = 0; i < PING_COUNT; i++) {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), PING_TIMEOUT_MS);
-            const startTime = performance.now();
-            try {
-                await fetch(`${pingUrl}`, { method: 'GET', cache: 'no-store', signal: controller.signal });
-                const endTime = performance.now();
-                pings.push(endTime - startTime);
-            } catch (error) {
-                if (error.name === 'AbortError') console.error('Ping request timed out.');
-                else console.error('Ping request failed:', error);
-                pings.push(null);
-            } finally {
-                clearTimeout(timeoutId);
-            }
-            onProgress((i + 1) * pingProgressIncrement);
-            if (i < PING_COUNT - 1) await new Promise(resolve => setTimeout(resolve, 200));
-        }
-        const validPings = pings.filter(p => p !== null);
-        if (validPings.length > 0) {
-            const avgPing = validPings.reduce((a, b) => a + b, 0) / validPings.length;
-            return Math.round(avgPing);
-        } else {
-            throw new Error('Ping test failed for all attempts.');
-        }
-    };
-
-    const measureDownload = async (downloadUrl, downloadSize, onProgress) => {
-        const startTime = performance.now();
-        try {
-            const response = await fetch(`${downloadUrl}?size=${downloadSize}&r=${Math.random()}&t=${Date.now()}`, { cache: 'no-store' });
-            if (!response.ok || !response.body) throw new Error(`Server error: ${response.status} ${response.statusText}`);
-            
-            const reader = response.body.getReader();
-            let receivedLength = 0;
-            
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                receivedLength += value.length;
-                onProgress((receivedLength / downloadSize) * 100);
-            }
-            
-            onProgress(100);
-            const endTime = performance.now();
-            const durationSeconds = (endTime - startTime) / 1000;
-            if (durationSeconds <= 0 || receivedLength === 0) throw new Error('Download failed (zero duration or size)');
-            
-            const speedBps = (receivedLength * 8) / durationSeconds;
-            return (speedBps / (1000 * 1000)).toFixed(2);
-        } catch (error) {
-            console.error(`Download failed:`, error);
-            onProgress(0);
-            throw error;
-        }
+    // --- Custom Servers ---
+    // Adds a probed entry, or replaces `previousName` when editing. The row's old results are
+    // dropped since they were measured against the old settings.
+    const saveCustomServer = (entry, previousName = null) => {
+        const replace = (list, item, getName) => (previousName ? list.map(x => (getName(x) === previousName ? item : x)) : [...list, item]);
+        setCustomServers(prev => saveCustomServers(replace(prev, entry, e => e.name)));
+        setServers(prev => replace(prev, expandServer(entry), s => s.name));
+        setTestResults(prev => replace(prev, emptyResult(entry.name), r => r.name));
+        setSelectedServers(prev => {
+            const next = new Set(prev);
+            next.delete(previousName);
+            next.add(entry.name);
+            return next;
+        });
+        setServerForm(null);
     };
 
-    const measureUpload = (uploadUrl, uploadsize, onProgress) => {
-        return new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-            const startTime = performance.now();
-            xhr.open('POST', `${uploadUrl}`, true);
-            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
-            
-            xhr.upload.onprogress = (event) => {
-                if (event.lengthComputable) onProgress((event.loaded / event.total) * 100);
-            };
-            
-            xhr.onload = () => {
-                if (xhr.status >= 200 && xhr.status < 300) {
-                    const durationSeconds = (performance.now() - startTime) / 1000;
-                    if (durationSeconds <= 0) return reject(new Error('Upload test failed (zero duration)'));
-                    const speedBps = (uploadsize * 8) / durationSeconds;
-                    onProgress(100);
-                    resolve((speedBps / (1000 * 1000)).toFixed(2));
-                } else {
-                    onProgress(0);
-                    reject(new Error(`Server responded with status: ${xhr.status}`));
-                }
-            };
-            
-            xhr.onerror = () => { onProgress(0); reject(new Error(`Upload failed due to a network error.`)); };
-            xhr.onabort = () => { onProgress(0); reject(new Error('Upload test was aborted.')); };
-            
-            const payload = new Blob([new Uint8Array(uploadsize)], { type: 'application/octet-stream' });
-            xhr.send(payload);
+    const removeCustomServer = (name) => {
+        if (isTesting || !window.confirm(`Remove ${name}?`)) return;
+        setCustomServers(prev => saveCustomServers(prev.filter(e => e.name !== name)));
+        setServers(prev => prev.filter(s => s.name !== name));
+        setTestResults(prev => prev.filter(r => r.name !== name));
+        setSelectedServers(prev => {
+            const next = new Set(prev);
+            next.delete(name);
+            return next;
         });
+        if (serverForm?.entry?.name === name) setServerForm(null);
     };
 
     // --- **UPDATED** Main Test Orchestration ---
-    const startAllTests = async () => {
+    // Tests the given servers one after another. Used by Start, Retry failed, the per-row retest
+    // and monitoring (trigger: 'monitor').
+    const runTests = async (serversToTest, { trigger = 'manual' } = {}) => {
         if (isTesting) return;
         
-        // **UPDATED**: Filter servers based on selection
-        const serversToTest = SERVERS.filter(s => selectedServers.has(s.name));
-        
         if (serversToTest.length === 0) {
             setStatusMessage("Please select at least one server to test.");
             return;
         }
 
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        pauseRef.current = false;
+        setIsPaused(false);
         setIsTesting(true);
-        // **UPDATED**: Reset results only for the selected servers
+        const names = new Set(serversToTest.map(s => s.name));
+        pendingRunRef.current = {
+            id: createRunId(),
+            trigger,
+            startedAt: Date.now(),
+            serverNames: [...names],
+            servers: serversToTest,
+            settings: { profile: profileKey, ...testSettings },
+        };
+        // **UPDATED**: Reset results only for the servers under test
         setTestResults(prevResults => prevResults.map(res => {
-            if (selectedServers.has(res.name)) {
-                return { ...res, ping: '--', download: '--', upload: '--', status: 'pending' };
+            if (names.has(res.name)) {
+                return emptyResult(res.name);
             }
             return res;
         }));
         setOverallProgress(0);
 
-        // **UPDATED**: Loop through only the selected servers
         for (let i = 0; i < serversToTest.length; i++) {
-            const server = serversToTest[i];
-            // **UPDATED**: Find the original index to update the correct row in the UI
-            const originalIndex = SERVERS.findIndex(s => s.name === server.name);
+            // Pausing takes effect between servers; the running server is allowed to finish
+            while (pauseRef.current && !controller.signal.aborted) {
+                setStatusMessage('Paused. Resume to continue with the next server.');
+                await sleep(200);
+            }
+            if (controller.signal.aborted) break;
 
-            setTestResults(prev => prev.map((r, index) => index === originalIndex ? { ...r, status: 'testing' } : r));
-            
-            let finalDownload = 'ERR', finalUpload = 'ERR';
+            const server = serversToTest[i];
+            // Rows are matched by name since a latency sweep may have reordered the table
+            const updateRow = (patch) => setTestResults(prev => prev.map(r => r.name === server.name ? { ...r, ...patch } : r));
+            setLiveThroughput({ server: server.name, phase: null, download: [], upload: [] });
 
             try {
-                // Ping
-                setStatusMessage(`Pinging ${server.name}...`);
-                try {
-                    const finalPing = await measurePing(server.pingUrl, (p) => setCurrentTestProgress(p));
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, ping: finalPing } : r));
-                } catch (error) {
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, ping: 'ERR', status: 'error' } : r));
-                    console.error(`Ping test failed for ${server.name}:`, error);
-                    continue; // Skip to next server if ping fails
-                }
-                
-                await new Promise(res => setTimeout(res, 200));
-
-                // Download Test
-                /*
-                    Start with INITIAL_DOWNLOAD_SIZE_BYTES
-                    If above SUPER_CONNECTION_THRESHOLD_MBPS
-                        try SUPER_DOWNLOAD_SIZE_BYTES 
-                    Else if above FAST_CONNECTION_THRESHOLD_MBPS
-                        try LARGE_DOWNLOAD_SIZE_BYTES
-                        if above SUPER_CONNECTION_THRESHOLD_MBPS
-                            try SUPER_LARGE_DOWNLOAD_SIZE_BYTES
-                   
-                   Update with math.max() after each test
-                */
-                setStatusMessage(`Downloading ${INITIAL_DOWNLOAD_SIZE_BYTES / 1024 / 1024}MB from ${server.name}...`);
-                try {
-                    finalDownload = await measureDownload(server.downloadUrl, INITIAL_DOWNLOAD_SIZE_BYTES, (p) => setCurrentTestProgress(p));
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, download: finalDownload } : r));
-                    
-                    if (parseFloat(finalDownload) > SUPER_CONNECTION_THRESHOLD_MBPS) {
-                        setStatusMessage(`Downloading ${SUPER_DOWNLOAD_SIZE_BYTES / 1024 / 1024}MB from ${server.name}...`);
-                        const finalDownloadSuper = await measureDownload(server.downloadUrl, SUPER_DOWNLOAD_SIZE_BYTES, (p) => setCurrentTestProgress(p));
-                        setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, download: Math.max(parseFloat(finalDownloadSuper), parseFloat(finalDownload))} : r));
-                    } else if (parseFloat(finalDownload) > FAST_CONNECTION_THRESHOLD_MBPS) {
-                        setStatusMessage(`Downloading ${LARGE_DOWNLOAD_SIZE_BYTES / 1024 / 1024}MB from ${server.name}...`);
-                        const finalDownloadLarge = await measureDownload(server.downloadUrl, LARGE_DOWNLOAD_SIZE_BYTES, (p) => setCurrentTestProgress(p));
-                        if (parseFloat(finalDownloadLarge) > SUPER_CONNECTION_THRESHOLD_MBPS) {
-                            setStatusMessage(`Downloading ${SUPER_DOWNLOAD_SIZE_BYTES / 1024 / 1024}MB from ${server.name}...`);
-                            const finalDownloadSuper = await measureDownload(server.downloadUrl, SUPER_DOWNLOAD_SIZE_BYTES, (p) => setCurrentTestProgress(p));
-                            setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, download: Math.max(parseFloat(finalDownloadSuper), parseFloat(finalDownloadLarge), parseFloat(finalDownload))} : r));
-                        } else {
-                            setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, download: Math.max(parseFloat(finalDownloadLarge), parseFloat(finalDownload))} : r));
-                        }
-                    }
-                } catch(error) {
-                    console.error(`Download test failed for ${server.name}:`, error);
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, download: 'ERR', status: 'error' } : r));
-                }
-                
-                await new Promise(res => setTimeout(res, 200));
-
-                // Upload Test
-                const initialUploadSize = Math.min(INITIAL_UPLOAD_SIZE_BYTES, server.maxUpload);
-
-                // Set output to 'Disabled' if max upload is 0
-                if (initialUploadSize == 0) {
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, upload: 'Disabled', status: 'complete' } : r));
-                    return r;
-                }
-                setStatusMessage(`Uploading ${initialUploadSize / 1024 / 1024}MB to ${server.name}...`);
-                try {
-                    finalUpload = await measureUpload(server.uploadUrl, initialUploadSize, (p) => setCurrentTestProgress(p));
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, upload: finalUpload } : r));
-                    
-                    if (parseFloat(finalUpload) > FAST_CONNECTION_THRESHOLD_UP_MBPS && server.maxUpload > LARGE_UPLOAD_SIZE_BYTES) {
-                         setStatusMessage(`Uploading ${LARGE_UPLOAD_SIZE_BYTES / 1024 / 1024}MB to ${server.name}...`);
-                         const finalUploadLarge = await measureUpload(server.uploadUrl, LARGE_UPLOAD_SIZE_BYTES, (p) => setCurrentTestProgress(p));
-                         if (parseFloat(finalUploadLarge) > parseFloat(finalUpload) ) {
-                             setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, upload: finalUploadLarge } : r));
-                         }
-                    }
-                } catch (error) {
-                    console.error(`Upload test failed for ${server.name}:`, error);
-                    setTestResults(prev => prev.map((r, idx) => idx === originalIndex ? { ...r, upload: 'ERR', status: 'error' } : r));
-                }
-
-                // Output 'disabled' if max upload for the server is 0
-
-                // Mark as complete if no errors occurred in the process
-                setTestResults(prev => prev.map((r, idx) => {
-                    if (idx === originalIndex && r.status !== 'error') {
-                        return { ...r, status: 'complete' };
-                    }
-                    return r;
-                }));
-
+                await testServer(server, { ...testOptions(testSettings, server), signal: controller.signal }, {
+                    onStatus: setStatusMessage,
+                    onProgress: setCurrentTestProgress,
+                    onUpdate: updateRow,
+                    onError: (phase, error) => console.error(`${phase} test failed for ${server.name}:`, error),
+                    onSample: (phase, sample) => setLiveThroughput(prev => (prev ? { ...prev, phase, [phase]: [...prev[phase], sample] } : prev)),
+                });
             } catch (error) {
+                if (error instanceof TestAbortedError) {
+                    updateRow({ status: 'cancelled' });
+                    break;
+                }
                 console.error(`Test failed for ${server.name}:`, error);
-                setTestResults(prev => prev.map((r, index) => index === originalIndex ? { ...r, status: 'error' } : r));
+                updateRow({ status: 'error' });
             } finally {
-                // **UPDATED**: Calculate progress based on the number of selected servers
+                // **UPDATED**: Calculate progress based on the number of servers under test
                 setOverallProgress(((i + 1) / serversToTest.length) * 100);
                 setCurrentTestProgress(0);
             }
         };
+        abortControllerRef.current = null;
+        pauseRef.current = false;
+        setIsPaused(false);
+        setLiveThroughput(null);
         setIsTesting(false);
-        setStatusMessage('All selected tests complete!');
+        setCurrentTestProgress(0);
+        setStatusMessage(controller.signal.aborted ? 'Tests stopped.' : 'All selected tests complete!');
     };
 
+    // --- Latency Sweep ---
+    // Pings the given servers in parallel, sorts the table by RTT and selects the closest
+    // `bestCount`. Resolves with those servers, or null if the sweep was stopped or failed.
+    const runLatencySweep = async (serversToSweep) => {
+        if (isTesting) return null;
+        if (serversToSweep.length === 0) {
+            setStatusMessage("Please select at least one server to test.");
+            return null;
+        }
+
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setIsTesting(true);
+        setOverallProgress(0);
+        setStatusMessage(`Sweeping latency of ${serversToSweep.length} servers...`);
+        const names = new Set(serversToSweep.map(s => s.name));
+        setTestResults(prev => prev.map(r => (names.has(r.name) ? { name: r.name, ping: '--', download: '--', upload: '--', status: 'testing' } : r)));
+
+        let best = null;
+        try {
+            const entries = await sweepLatency(serversToSweep, { pingTimeoutMs, requestTimeoutMs, signal: controller.signal }, ({ server, stats, error }, done) => {
+                const reachable = stats && stats.received > 0;
+                setTestResults(prev => prev.map(r => (r.name === server.name ? {
+                    ...r,
+                    ping: reachable ? Math.round(stats.avg) : 'ERR',
+                    pingStats: stats || undefined,
+                    status: reachable ? 'pending' : 'error',
+                    errors: reachable ? undefined : { ping: error ? error.message : 'No ping replies' },
+                } : r)));
+                setOverallProgress((done / serversToSweep.length) * 100);
+            });
+
+            // Sort the table by RTT; servers outside the sweep keep their order after the swept ones
+            const rank = new Map(entries.map((entry, i) => [entry.server.name, i]));
+            const byRtt = (a, b) => (rank.has(a.name) ? rank.get(a.name) : rank.size) - (rank.has(b.name) ? rank.get(b.name) : rank.size);
+            setServers(prev => [...prev].sort(byRtt));
+            setTestResults(prev => [...prev].sort(byRtt));
+
+            best = closestServers(entries, bestCount);
+            setSelectedServers(new Set(best.map(s => s.name)));
+            setStatusMessage(best.length > 0
+                ? `Closest: ${best.map(s => s.name).join(', ')}`
+                : 'No server answered the latency sweep.');
+        } catch (error) {
+            // Called from click handlers, so a failure is reported here rather than rethrown
+            if (error instanceof TestAbortedError) {
+                setTestResults(prev => prev.map(r => (names.has(r.name) && r.status === 'testing' ? { ...r, status: 'cancelled' } : r)));
+                setStatusMessage('Tests stopped.');
+            } else {
+                console.error('Latency sweep failed:', error);
+                setTestResults(prev => prev.map(r => (names.has(r.name) && r.status === 'testing' ? { ...r, ping: 'ERR', status: 'error', errors: { ping: error.message } } : r)));
+                setStatusMessage(`Latency sweep failed: ${error.message}`);
+            }
+        } finally {
+            abortControllerRef.current = null;
+            setIsTesting(false);
+        }
+        return best;
+    };
+
+    const startAllTests = async () => {
+        const selected = servers.filter(s => selectedServers.has(s.name));
+        if (!sweepFirst) return runTests(selected);
+        const best = await runLatencySweep(selected);
+        if (best && best.length > 0) await runTests(best);
+    };
+
+    const retryFailedTests = () => runTests(servers.filter(s => testResults.some(r => r.name === s.name && r.status === 'error')));
+
+    const retestServer = (serverName) => runTests(servers.filter(s => s.name === serverName));
+
+    const stopTests = () => abortControllerRef.current?.abort();
+
+    const togglePause = () => {
+        pauseRef.current = !pauseRef.current;
+        setIsPaused(pauseRef.current);
+    };
+
+    const failedCount = testResults.filter(r => r.status === 'error').length;
+
+    // --- Sorting, Filtering & Ranking ---
+    // The view is derived; testResults keeps its own order (registry or latency sweep)
+    const providerOptions = [...new Set(servers.map(s => s.provider))].sort();
+    const tagOptions = [...new Set(servers.flatMap(s => [s.region, ...s.tags]))].sort();
+    // Rows without a registry entry (e.g. imported from another deployment) are matched on
+    // whatever provider, region and tags they carry themselves
+    const matchesFilters = (row) => {
+        const { provider, region, tags } = servers.find(s => s.name === row.name) || row;
+        return (filters.provider === 'all' || provider === filters.provider)
+            && (filters.tag === 'all' || region === filters.tag || (Array.isArray(tags) && tags.includes(filters.tag)));
+    };
+    const filteredResults = testResults.filter(matchesFilters);
+    const visibleResults = sortKey === 'default' ? filteredResults : sortResults(filteredResults, sortKey);
+    const winners = columnWinners(filteredResults);
+    const hasMeasurements = filteredResults.some(r => RANKED_METRICS.some(m => metricValue(r, m.key) !== null));
+    const ranking = scoreResults(filteredResults, scoreWeights);
+
+    const toggleSort = (key) => setSortKey(prev => (prev === key ? 'default' : key));
+
+    const toggleExpanded = (name) => setExpandedRows(prev => {
+        const next = new Set(prev);
+        if (next.has(name)) next.delete(name);
+        else next.add(name);
+        return next;
+    });
+
+    // --- Monitoring ---
+    monitorRunRef.current = () => runTests(servers.filter(s => selectedServers.has(s.name)), { trigger: 'monitor' });
+
+    const toggleMonitoring = () => {
+        if (monitorRef.current) {
+            monitorRef.current.stop();
+            monitorRef.current = null;
+            setIsMonitoring(false);
+            return;
+        }
+        lastMonitoredResultsRef.current = null;
+        setSkippedMonitorRuns(0);
+        const monitor = createMonitorScheduler({
+            intervalMs: monitorSettings.intervalMinutes * 60 * 1000,
+            hiddenBackoffFactor: monitorSettings.hiddenBackoffFactor,
+            runOnce: () => monitorRunRef.current(),
+            isBusy: () => isTestingRef.current,
+            isHidden: () => document.visibilityState === 'hidden',
+            onSkip: () => setSkippedMonitorRuns(n => n + 1),
+            onSchedule: setNextMonitorRunAt,
+        });
+        monitorRef.current = monitor;
+        setIsMonitoring(true);
+        monitor.start();
+    };
+
+    // Enabling notifications asks for permission first and stays off if it is not granted.
+    const updateMonitorSettings = async (next) => {
+        if (next.notify && !monitorSettings.notify) {
+            const permission = typeof Notification === 'undefined' ? 'unsupported' : await Notification.requestPermission();
+            if (permission !== 'granted') {
+                setNotificationNote(permission === 'unsupported' ? 'This browser does not support notifications.' : 'Notifications are blocked for this site.');
+                next = { ...next, notify: false };
+            } else {
+                setNotificationNote('');
+            }
+        }
+        setMonitorSettings(saveMonitorSettings(next));
+    };
+
+    // Hiding the tab stretches the interval; showing it again re-times the pending run.
+    useEffect(() => {
+        const onVisibilityChange = () => monitorRef.current?.visibilityChanged();
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+    }, []);
+
+    useEffect(() => () => monitorRef.current?.stop(), []);
+
     // --- **UPDATED** Result Row Sub-component ---
-    const ResultRow = ({ result, isSelected, onToggle, isTestingGlobal }) => {
+    const ResultRow = ({ result, server, isSelected, onToggle, onRetest, onEdit, onRemove, winners, isExpanded, onToggleExpand, isTestingGlobal }) => {
         const isTestingThis = result.status === 'testing';
         const isComplete = result.status === 'complete';
         const isError = result.status === 'error';
+        const isCancelled = result.status === 'cancelled';
+        const errorSummary = Object.entries(result.errors || {}).map(([phase, message]) => `${phase}: ${message}`).join('\n');
+        const hasDetails = Boolean(result.timings || result.downloadStats || result.uploadStats);
+        const warmupMs = result.timings?.warmup?.durationMs;
         
         const rowBg = isTestingThis ? 'bg-sky-900/50' : 'bg-slate-800/60';
 
+        const PingDetails = ({ stats }) => (
+            <div className="font-mono text-[11px] leading-4 text-slate-400" title="min / median / p95 / max">
+                <div>{[stats.min, stats.median, stats.p95, stats.max].map(v => Math.round(v)).join('/')}</div>
+                <div>
+                    ±{stats.jitter.toFixed(1)}ms · <span className={stats.lossPct > 0 ? 'text-amber-400' : ''}>{Math.round(stats.lossPct)}% loss</span>
+                </div>
+            </div>
+        );
+
+        // Latency measured while this phase was transferring, relative to the idle median
+        const LoadedLatency = ({ stats, idle }) => (
+            <div className="font-mono text-[11px] leading-4 text-slate-400" title="Median ping while loaded">
+                {Math.round(stats.median)}ms loaded
+                {idle && idle.median !== null && <span> (+{Math.max(0, Math.round(stats.median - idle.median))})</span>}
+            </div>
+        );
+
+        // Upload speed as measured by the server, plus a warning if chunks arrived short
+        const UploadReceipt = ({ server }) => (
+            <div className="font-mono text-[11px] leading-4 text-slate-400" title={`${server.chunks} chunks verified by the server`}>
+                {server.mbps.toFixed(2)} server
+                {server.truncatedChunks > 0 && (
+                    <div className="text-amber-400" title={`${server.missingBytes} bytes missing`}>
+                        ⚠ {server.truncatedChunks} truncated
+                    </div>
+                )}
+            </div>
+        );
+
+        // Where this host saw the test come from and which edge location answered
+        const ConnectionMeta = ({ meta }) => {
+            const details = [
+                meta.ip && `IP ${meta.ip}`,
+                [meta.city, meta.country].filter(Boolean).join(', '),
+                meta.asn && `AS${meta.asn}${meta.isp ? ` ${meta.isp}` : ''}`,
+                meta.tlsVersion,
+            ].filter(Boolean).join(' · ');
+            return (
+                <span className="block text-[11px] text-slate-500 truncate" title={details || undefined}>
+                    {[meta.colo && `via ${meta.colo}`, meta.protocol, meta.asn && `AS${meta.asn}`].filter(Boolean).join(' · ') || 'No connection details'}
+                </span>
+            );
+        };
+
         const StatusIcon = () => {
             if (isTestingThis) return <SpinnerIcon />;
             if (isComplete) return <CheckCircleIcon />;
@@ -360,11 +625,60 @@ export default function App() {
                             <button
                                 onClick={() => onToggle(result.name)}
                                 disabled={isTestingGlobal}
+                                title={isError ? errorSummary : undefined}
                                 className="flex-shrink-0 flex items-center justify-center rounded-full focus:outline-none focus:ring-2 focus:ring-sky-500/50 disabled:cursor-not-allowed transition-transform active:scale-90"
                             >
                                 <StatusIcon />
                             </button>
-                            <span className="font-semibold text-slate-200 truncate">{result.name}</span>
+                            <div className="min-w-0">
+                                <span className="block font-semibold text-slate-200 truncate">{result.name}</span>
+                                {server && (
+                                    <span className="block text-xs text-slate-500 truncate">{server.provider} · {server.region}</span>
+                                )}
+                                {result.meta && <ConnectionMeta meta={result.meta} />}
+                                {warmupMs !== undefined && (
+                                    <span className="block text-[11px] text-slate-500" title="First request, including DNS, connection setup and any cold start; not part of the ping">
+                                        Warm-up {warmupMs >= 1000 ? `${(warmupMs / 1000).toFixed(1)}s` : `${warmupMs}ms`}
+                                    </span>
+                                )}
+                                {isCancelled && <span className="block text-xs text-amber-400">Stopped</span>}
+                                {result.responsiveness && (
+                                    <GradeBadge
+                                        grade={result.responsiveness.grade}
+                                        title={`Latency under load +${Math.round(result.responsiveness.increaseMs)}ms · ${result.responsiveness.rpm} RPM`}
+                                    >
+                                        Bufferbloat {result.responsiveness.grade} · {result.responsiveness.rpm} RPM
+                                    </GradeBadge>
+                                )}
+                            </div>
+                        </div>
+                        <div className="flex flex-shrink-0 ml-2">
+                            {/* Retest just this server */}
+                            {server && !isTestingGlobal && result.status !== 'pending' && (
+                                <button
+                                    onClick={() => onRetest(result.name)}
+                                    className="px-2 py-1 rounded-md text-xs text-slate-400 hover:text-white hover:bg-slate-700/80"
+                                    title={`Test ${result.name} again`}
+                                >
+                                    ↻ Retest
+                                </button>
+                            )}
+                            {hasDetails && (
+                                <button
+                                    onClick={() => onToggleExpand(result.name)}
+                                    className="px-2 py-1 rounded-md text-xs text-slate-400 hover:text-white hover:bg-slate-700/80"
+                                    aria-expanded={isExpanded}
+                                >
+                                    Details {isExpanded ? '▴' : '▾'}
+                                </button>
+                            )}
+                            {/* Servers added from the UI can be edited and removed */}
+                            {isCustomServer(server) && !isTestingGlobal && (
+                                <>
+                                    <button onClick={() => onEdit(result.name)} className="px-2 py-1 rounded-md text-xs text-slate-400 hover:text-white hover:bg-slate-700/80">Edit</button>
+                                    <button onClick={() => onRemove(result.name)} className="px-2 py-1 rounded-md text-xs text-slate-400 hover:text-red-300 hover:bg-slate-700/80">Remove</button>
+                                </>
+                            )}
                         </div>
                     </div>
 
@@ -374,19 +688,47 @@ export default function App() {
                             const value = result[statType];
                             const unit = statType === 'ping' ? 'ms' : 'Mbps';
                             const label = statType.charAt(0).toUpperCase() + statType.slice(1);
+                            const isWinner = winners[statType] === result.name;
+                            let valueClass = 'text-slate-100';
+                            if (value === 'ERR') valueClass = 'text-red-400';
+                            else if (value === 'Disabled') valueClass = 'text-slate-500';
+                            else if (isWinner) valueClass = 'text-emerald-300';
                             
                             return (
                                 <div key={statType} className="text-center bg-slate-900/50 md:bg-transparent p-2 rounded-lg md:p-0 md:w-1/3">
                                     <span className="text-xs font-bold tracking-wider text-slate-400 md:hidden">{label}</span>
                                     <div className="mt-1 md:mt-0">
-                                        <span className={`font-mono text-lg md:text-xl font-bold ${value === 'ERR' && value === 'Disabled' ?  'text-red-400' : 'text-slate-100'}`}>{value}</span>
+                                        <span className={`font-mono text-lg md:text-xl font-bold ${valueClass}`} title={isWinner ? `Best ${statType} in this view` : undefined}>{value}</span>
                                         <span className="text-sm text-slate-400 ml-1">{value !== '--' && value !== 'ERR' && value !== 'Disabled' ? unit : ''}</span>
+                                        {isWinner && <span className="text-emerald-300 text-xs ml-1" aria-label="best">★</span>}
                                     </div>
+                                    {statType === 'ping' && result.pingStats?.jitter != null && <PingDetails stats={result.pingStats} />}
+                                    {statType === 'upload' && result.uploadStats?.server && <UploadReceipt server={result.uploadStats.server} />}
+                                    {statType !== 'ping' && result.loadedLatency?.[statType]?.median != null && (
+                                        <LoadedLatency stats={result.loadedLatency[statType]} idle={result.pingStats} />
+                                    )}
                                 </div>
                             );
                         })}
                     </div>
                 </div>
+
+                {/* Timing breakdown and throughput curves */}
+                {isExpanded && hasDetails && (
+                    <div className="px-3 pb-3 md:px-4 md:pb-4 space-y-3 border-t border-slate-700/60 pt-3">
+                        {result.timings && <TimingBreakdown timings={result.timings} />}
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            {[{ key: 'download', label: 'Download', color: '#38bdf8' }, { key: 'upload', label: 'Upload', color: '#34d399' }].map(phase => (
+                                result[`${phase.key}Stats`]?.samples && (
+                                    <div key={phase.key}>
+                                        <span className="text-xs font-bold text-slate-400">{phase.label} throughput</span>
+                                        <ThroughputChart samples={result[`${phase.key}Stats`].samples} color={phase.color} height={60} />
+                                    </div>
+                                )
+                            ))}
+                        </div>
+                    </div>
+                )}
             </div>
         );
     }
@@ -402,30 +744,130 @@ export default function App() {
                     <p className="text-slate-400 mt-1 text-base md:text-lg">Test your connection to available free Next.js hosts.</p>
                 </header>
 
+                {/* View Tabs */}
+                <div className="flex justify-center gap-2 mb-3 text-sm">
+                    {[{ key: 'results', label: 'Results' }, { key: 'history', label: `History (${history.length})` }].map(tab => (
+                        <button
+                            key={tab.key}
+                            onClick={() => setView(tab.key)}
+                            className={`px-4 py-1.5 rounded-full transition-colors ${view === tab.key ? 'bg-sky-500 text-white' : 'bg-slate-800/80 text-slate-400 hover:text-slate-200'}`}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+
+                {view === 'history' && (
+                    <div className="bg-slate-800/60 p-3 md:p-4 rounded-2xl shadow-2xl w-full border border-slate-700/80 backdrop-blur-xl">
+                        <HistoryPanel
+                            runs={history}
+                            onDeleteRun={(id) => setHistory(deleteRun(id))}
+                            onClearHistory={() => setHistory(clearHistory())}
+                        />
+                    </div>
+                )}
+
                 {/* Main Results Panel */}
-                <div className="bg-slate-800/60 p-3 md:p-4 rounded-2xl shadow-2xl w-full border border-slate-700/80 backdrop-blur-xl">
+                <div className={`bg-slate-800/60 p-3 md:p-4 rounded-2xl shadow-2xl w-full border border-slate-700/80 backdrop-blur-xl ${view === 'results' ? '' : 'hidden'}`}>
+                    {/* -- Best Host -- */}
+                    {hasMeasurements && (
+                        <BestHostCard
+                            ranking={ranking}
+                            results={filteredResults}
+                            weights={scoreWeights}
+                            onWeightsChange={(weights) => setScoreWeights(saveScoreWeights(weights))}
+                        />
+                    )}
+
+                    {/* -- Sort & Filter -- */}
+                    <div className="flex flex-wrap items-center gap-2 px-1 pb-3 text-xs text-slate-400">
+                        <label className="flex items-center gap-1">
+                            Sort
+                            <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} className="rounded-md bg-slate-800/80 px-2 py-1 text-slate-200">
+                                <option value="default">Default order</option>
+                                {RANKED_METRICS.map(m => <option key={m.key} value={m.key}>{m.label} ({m.lowerIsBetter ? 'lowest' : 'fastest'} first)</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-1">
+                            Provider
+                            <select value={filters.provider} onChange={(e) => setFilters(prev => ({ ...prev, provider: e.target.value }))} className="rounded-md bg-slate-800/80 px-2 py-1 text-slate-200">
+                                <option value="all">All</option>
+                                {providerOptions.map(p => <option key={p} value={p}>{p}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-1">
+                            Region / tag
+                            <select value={filters.tag} onChange={(e) => setFilters(prev => ({ ...prev, tag: e.target.value }))} className="rounded-md bg-slate-800/80 px-2 py-1 text-slate-200">
+                                <option value="all">All</option>
+                                {tagOptions.map(t => <option key={t} value={t}>{t}</option>)}
+                            </select>
+                        </label>
+                        {filteredResults.length < testResults.length && (
+                            <span>
+                                Showing {filteredResults.length} of {testResults.length}
+                                <button onClick={() => setFilters({ provider: 'all', tag: 'all' })} className="ml-2 text-sky-400 hover:text-sky-300">Clear</button>
+                            </span>
+                        )}
+                    </div>
+
                     {/* -- Results Header -- */}
                     <div className="flex px-4 pb-3 border-b border-slate-700">
                         <h3 className="font-bold text-slate-300 text-sm w-1/3 lg:w-2/5">Server</h3>
                         <div className="hidden md:flex w-2/3 lg:w-3/5 justify-around">
-                            <h3 className="font-bold text-slate-300 text-sm w-1/3 text-center">Ping</h3>
-                            <h3 className="font-bold text-slate-300 text-sm w-1/3 text-center">Download</h3>
-                            <h3 className="font-bold text-slate-300 text-sm w-1/3 text-center">Upload</h3>
+                            {RANKED_METRICS.map(m => (
+                                <button
+                                    key={m.key}
+                                    onClick={() => toggleSort(m.key)}
+                                    className={`font-bold text-sm w-1/3 text-center hover:text-white ${sortKey === m.key ? 'text-sky-300' : 'text-slate-300'}`}
+                                    title={`Sort by ${m.label.toLowerCase()}`}
+                                >
+                                    {m.label}{sortKey === m.key ? ' ▾' : ''}
+                                </button>
+                            ))}
                         </div>
                     </div>
 
                     {/* Results List */}
                     <div className="space-y-2 mt-2 md:mt-3">
-                        {testResults.map((result, index) => (
+                        {visibleResults.length === 0 && testResults.length > 0 && (
+                            <p className="text-center text-slate-400 text-sm py-4">No servers match the filters.</p>
+                        )}
+                        {visibleResults.map(result => (
                             <ResultRow 
-                                key={index} 
+                                key={result.name} 
                                 result={result}
+                                server={servers.find(s => s.name === result.name)}
                                 isSelected={selectedServers.has(result.name)}
                                 onToggle={handleToggleServer}
+                                onRetest={retestServer}
+                                onEdit={(name) => setServerForm({ entry: customServers.find(e => e.name === name) })}
+                                onRemove={removeCustomServer}
+                                winners={winners}
+                                isExpanded={expandedRows.has(result.name)}
+                                onToggleExpand={toggleExpanded}
                                 isTestingGlobal={isTesting}
                             />
                         ))}
                     </div>
+
+                    {/* Add / Edit Server */}
+                    {serverForm ? (
+                        <ServerForm
+                            key={serverForm.entry ? serverForm.entry.name : 'new'}
+                            initial={serverForm.entry}
+                            takenNames={servers.map(s => s.name).filter(name => name !== serverForm.entry?.name)}
+                            onSave={(entry) => saveCustomServer(entry, serverForm.entry?.name)}
+                            onCancel={() => setServerForm(null)}
+                        />
+                    ) : (
+                        <button
+                            onClick={() => setServerForm({ entry: null })}
+                            disabled={isTesting}
+                            className="w-full mt-3 py-2 rounded-xl border border-dashed border-slate-700 text-sm text-slate-400 hover:text-slate-200 hover:border-slate-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            + Add server
+                        </button>
+                    )}
                 </div>
 
                 {/* Controls and Progress Footer */}
@@ -438,6 +880,9 @@ export default function App() {
                          </div>
                     </div>
 
+                    {/* Live Throughput */}
+                    {isTesting && liveThroughput && <LiveThroughput live={liveThroughput} durationMs={testDurationMs} />}
+
                     {/* Overall Progress */}
                     <div className="mb-4">
                         <div className="flex justify-between items-center mb-1">
@@ -449,24 +894,142 @@ export default function App() {
                         </div>
                     </div>
                     
-                    {/* Start Button */}
-                    <button
-                        onClick={startAllTests}
-                        disabled={isTesting || selectedServers.size === 0}
-                        className="w-full mt-4 bg-gradient-to-r from-sky-500 to-cyan-500 hover:from-sky-600 hover:to-cyan-600 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-3.5 px-4 rounded-xl transition-all duration-200 ease-in-out focus:outline-none focus:ring-4 focus:ring-sky-400/50 flex items-center justify-center transform active:scale-98 shadow-lg hover:shadow-sky-500/20"
-                    >
-                        {isTesting ? (
-                            <>
-                                <SpinnerIcon />
-                                <span className="ml-3 text-lg">Testing in Progress...</span>
-                            </>
-                        ) : (
-                            <>
+                    {/* Test Profile */}
+                    <ProfileEditor
+                        settings={testSettings}
+                        profileKey={profileKey}
+                        onSelectProfile={(key) => setTestSettings(profileSettings(key))}
+                        onChange={(patch) => setTestSettings(prev => ({ ...prev, ...patch }))}
+                        estimate={estimateDataUsage(testSettings, servers.filter(s => selectedServers.has(s.name)), history)}
+                        serverCount={selectedServers.size}
+                        disabled={isTesting}
+                    />
+
+                    {/* Latency Sweep */}
+                    <div className="flex justify-between items-center mt-3 text-sm">
+                        <label className="flex items-center gap-2 font-medium text-slate-300" title="Ping every selected server in parallel, then run the full test on the closest ones only">
+                            <input
+                                type="checkbox"
+                                checked={sweepFirst}
+                                disabled={isTesting}
+                                onChange={(e) => setSweepFirst(e.target.checked)}
+                                className="accent-sky-500"
+                            />
+                            Sweep first, then test the closest
+                        </label>
+                        <div className="flex items-center gap-2 text-slate-400">
+                            <input
+                                type="number"
+                                min={1}
+                                max={Math.max(1, servers.length)}
+                                value={bestCount}
+                                disabled={isTesting}
+                                onChange={(e) => setBestCount(clamp(parseInt(e.target.value, 10) || 1, { min: 1, max: Math.max(1, servers.length) }))}
+                                className="w-16 rounded-md bg-slate-800/80 px-2 py-1 text-right text-slate-200 disabled:opacity-50"
+                                aria-label="Number of closest servers to test"
+                            />
+                            <span>servers</span>
+                            <button
+                                onClick={() => runLatencySweep(servers.filter(s => selectedServers.has(s.name)))}
+                                disabled={isTesting || selectedServers.size === 0}
+                                className="px-3 py-1 rounded-md bg-slate-800/80 text-slate-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Latency sweep
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Result Collection */}
+                    <div className="flex justify-between items-center mt-3 text-sm">
+                        <label className="flex items-center gap-2 font-medium text-slate-300" title="Sends ping, jitter, loss, download, upload and grade for registry servers; this site adds your country and network, and never stores your address">
+                            <input
+                                type="checkbox"
+                                checked={collectOptIn}
+                                onChange={(e) => {
+                                    setCollectOptIn(saveCollectOptIn(e.target.checked));
+                                    setCollectMessage('');
+                                }}
+                                className="accent-sky-500"
+                            />
+                            Contribute results to host statistics
+                        </label>
+                        <div className="flex items-center gap-3 text-slate-400">
+                            {collectMessage && <span className="text-xs">{collectMessage}</span>}
+                            <Link href="/stats" className="text-sky-400 hover:text-sky-300">View statistics</Link>
+                        </div>
+                    </div>
+
+                    {/* Export / Import */}
+                    <div className="flex justify-between items-center mt-3 text-sm">
+                        <span className="font-medium text-slate-300">Results</span>
+                        <div className="flex gap-2">
+                            <button onClick={() => handleExport('json')} disabled={!lastRun || isTesting} className="px-3 py-1 rounded-md bg-slate-800/80 text-slate-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed">Export JSON</button>
+                            <button onClick={() => handleExport('csv')} disabled={!lastRun || isTesting} className="px-3 py-1 rounded-md bg-slate-800/80 text-slate-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed">Export CSV</button>
+                            <button onClick={handleShare} disabled={!lastRun || isTesting} className="px-3 py-1 rounded-md bg-slate-800/80 text-slate-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed">{shareMessage || 'Share link'}</button>
+                            <button onClick={() => importInputRef.current.click()} disabled={isTesting} className="px-3 py-1 rounded-md bg-slate-800/80 text-slate-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed">Import</button>
+                            <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                        </div>
+                    </div>
+
+                    <MonitorPanel
+                        settings={monitorSettings}
+                        onChange={updateMonitorSettings}
+                        active={isMonitoring}
+                        onToggle={toggleMonitoring}
+                        canStart={selectedServers.size > 0}
+                        nextRunAt={nextMonitorRunAt}
+                        skippedRuns={skippedMonitorRuns}
+                        alerts={monitorAlerts}
+                        notificationNote={notificationNote}
+                    />
+
+                    {/* Start / Stop Buttons */}
+                    {isTesting ? (
+                        <div className="flex gap-2 mt-4">
+                            <button
+                                onClick={togglePause}
+                                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-bold py-3.5 px-4 rounded-xl transition-all duration-200 ease-in-out focus:outline-none focus:ring-4 focus:ring-slate-400/50 flex items-center justify-center"
+                            >
+                                {isPaused ? (
+                                    <>
+                                        <PlayIcon />
+                                        <span className="ml-2 text-lg">Resume</span>
+                                    </>
+                                ) : (
+                                    <>
+                                        <PauseIcon />
+                                        <span className="ml-2 text-lg">Pause</span>
+                                    </>
+                                )}
+                            </button>
+                            <button
+                                onClick={stopTests}
+                                className="flex-1 bg-gradient-to-r from-red-500 to-rose-500 hover:from-red-600 hover:to-rose-600 text-white font-bold py-3.5 px-4 rounded-xl transition-all duration-200 ease-in-out focus:outline-none focus:ring-4 focus:ring-red-400/50 flex items-center justify-center"
+                            >
+                                <StopIcon />
+                                <span className="ml-2 text-lg">Stop</span>
+                            </button>
+                        </div>
+                    ) : (
+                        <>
+                            <button
+                                onClick={startAllTests}
+                                disabled={selectedServers.size === 0}
+                                className="w-full mt-4 bg-gradient-to-r from-sky-500 to-cyan-500 hover:from-sky-600 hover:to-cyan-600 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-3.5 px-4 rounded-xl transition-all duration-200 ease-in-out focus:outline-none focus:ring-4 focus:ring-sky-400/50 flex items-center justify-center transform active:scale-98 shadow-lg hover:shadow-sky-500/20"
+                            >
                                 <PlayIcon />
                                 <span className="ml-2 text-lg">Start Tests ({selectedServers.size})</span>
-                            </>
-                        )}
-                    </button>
+                            </button>
+                            {failedCount > 0 && (
+                                <button
+                                    onClick={retryFailedTests}
+                                    className="w-full mt-2 py-2 rounded-xl bg-slate-800/80 text-sm text-red-300 hover:text-red-200 hover:bg-slate-700/80"
+                                >
+                                    Retry failed ({failedCount})
+                                </button>
+                            )}
+                        </>
+                    )}
                 </div>
 
             </div>
@@ -0,0 +1,116 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import GradeBadge from '../../components/GradeBadge';
+import { decodeSharedRun, summarizeSharedRun, SHARE_PATH } from '../../lib/share';
+import { configValue } from '../../lib/config';
+
+// --- Shared Results Page ---
+// Read-only view of a run encoded in the URL by lib/share.js. Rendered on the server so
+// link previews (Open Graph) can show the results; no tests are run here.
+
+// Origin for the absolute Open Graph URLs, from SITE_URL (e.g. https://speed.example.com).
+// The request's Host header is not used, since the client sets it; without SITE_URL the
+// URLs stay relative.
+function siteOrigin() {
+    try {
+        return new URL(configValue('SITE_URL')).origin;
+    } catch {
+        return '';
+    }
+}
+
+export async function getServerSideProps({ params }) {
+    const origin = siteOrigin();
+    const url = `${origin}${SHARE_PATH}${encodeURIComponent(params.payload)}`;
+    const imageUrl = `${origin}/icon.png`;
+    try {
+        const run = await decodeSharedRun(params.payload);
+        return { props: { run, url, imageUrl, error: null } };
+    } catch (error) {
+        return { props: { run: null, url, imageUrl, error: error.message } };
+    }
+}
+
+const formatValue = (value, unit) => (typeof value === 'number' ? `${value} ${unit}` : value);
+
+export default function SharedResults({ run, url, imageUrl, error }) {
+    const title = run ? `Speed test results – ${new Date(run.finishedAt).toUTCString()}` : 'Speed test results';
+    const description = run ? summarizeSharedRun(run) : error;
+
+    return (
+        <div className="bg-slate-900 text-white flex items-center justify-center min-h-screen p-2 sm:p-4" style={{ fontFamily: "'Inter', sans-serif" }}>
+            <Head>
+                <title>{title}</title>
+                <meta name="description" content={description} />
+                <meta property="og:type" content="website" />
+                <meta property="og:title" content={title} />
+                <meta property="og:description" content={description} />
+                <meta property="og:url" content={url} />
+                <meta property="og:image" content={imageUrl} />
+                <meta name="twitter:card" content="summary" />
+                <meta name="robots" content="noindex" />
+            </Head>
+            <div className="w-full max-w-3xl mx-auto">
+                <header className="text-center mb-6 md:mb-8">
+                    <h1 className="text-3xl md:text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-sky-400 to-cyan-300 py-2">
+                        Shared Speed Test Results
+                    </h1>
+                    {run && (
+                        <p className="text-slate-400 mt-1 text-sm">
+                            {new Date(run.finishedAt).toUTCString()} · {run.singleStream ? 'Single stream' : 'Multi-stream'}
+                        </p>
+                    )}
+                </header>
+
+                <div className="bg-slate-800/60 p-3 md:p-4 rounded-2xl shadow-2xl w-full border border-slate-700/80">
+                    {error ? (
+                        <p className="text-center text-red-400 text-sm py-6">{error}</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-slate-300 border-b border-slate-700">
+                                        <th className="text-left py-2 pr-2">Server</th>
+                                        <th className="text-right py-2 px-2">Ping</th>
+                                        <th className="text-right py-2 px-2">Download</th>
+                                        <th className="text-right py-2 px-2">Upload</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {run.results.map(result => (
+                                        <tr key={result.name} className="border-t border-slate-700/60">
+                                            <td className="py-2 pr-2">
+                                                <span className="block font-semibold text-slate-200">{result.name}</span>
+                                                {result.provider && (
+                                                    <span className="block text-xs text-slate-500">{result.provider} · {result.region}</span>
+                                                )}
+                                                {(result.colo || result.protocol) && (
+                                                    <span className="block text-[11px] text-slate-500">{[result.colo && `via ${result.colo}`, result.protocol].filter(Boolean).join(' · ')}</span>
+                                                )}
+                                                {result.grade && <GradeBadge grade={result.grade} />}
+                                            </td>
+                                            <td className="py-2 px-2 text-right font-mono text-slate-100">
+                                                {formatValue(result.ping, 'ms')}
+                                                {result.jitter !== null && (
+                                                    <div className="text-[11px] text-slate-400">±{result.jitter}ms · {result.lossPct ?? 0}% loss</div>
+                                                )}
+                                            </td>
+                                            <td className="py-2 px-2 text-right font-mono text-slate-100">{formatValue(result.download, 'Mbps')}</td>
+                                            <td className="py-2 px-2 text-right font-mono text-slate-100">{formatValue(result.upload, 'Mbps')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                <div className="text-center mt-6">
+                    <Link href="/" className="inline-block bg-gradient-to-r from-sky-500 to-cyan-500 hover:from-sky-600 hover:to-cyan-600 text-white font-bold py-3 px-6 rounded-xl">
+                        Run your own test
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { RESULTS_PATH, AGGREGATE_GROUPINGS, MIN_GROUP_SIZE } from '../lib/collect';
+
+// --- Aggregate Statistics Page ---
+// Percentiles of the results users chose to contribute (see lib/collect.js), per server and
+// broken down by the country or network they tested from.
+
+const PERIODS = [7, 30, 90];
+
+// "p50 (p10–p90)" for one metric's spread, or '--' when nothing was measured
+const formatSpread = (spread, unit) => {
+    if (!spread) return <span className="text-slate-500">--</span>;
+    return (
+        <span title={`${spread.n} measurement${spread.n === 1 ? '' : 's'}`}>
+            <span className="font-mono text-slate-100">{spread.p50}</span>
+            <span className="text-slate-500"> {unit} ({spread.p10}–{spread.p90})</span>
+        </span>
+    );
+};
+
+export default function Stats() {
+    const [by, setBy] = useState(AGGREGATE_GROUPINGS[0].key);
+    const [days, setDays] = useState(30);
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = async () => {
+            setError(null);
+            try {
+                const response = await fetch(`${RESULTS_PATH}?by=${by}&days=${days}`, { cache: 'no-store' });
+                const body = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+                if (!cancelled) setData(body);
+            } catch (err) {
+                if (!cancelled) {
+                    setData(null);
+                    setError(err.message);
+                }
+            }
+        };
+        load();
+        return () => { cancelled = true; };
+    }, [by, days]);
+
+    const groupLabel = AGGREGATE_GROUPINGS.find(g => g.key === by).label;
+
+    return (
+        <div className="bg-slate-900 text-white flex justify-center min-h-screen p-2 sm:p-4" style={{ fontFamily: "'Inter', sans-serif" }}>
+            <Head>
+                <title>Speed test statistics</title>
+            </Head>
+            <div className="w-full max-w-4xl mx-auto">
+                <header className="text-center mb-6 md:mb-8">
+                    <h1 className="text-3xl md:text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-sky-400 to-cyan-300 py-2">
+                        Host Statistics
+                    </h1>
+                    <p className="text-slate-400 mt-1 text-sm">
+                        Median and 10th–90th percentile of results contributed by users who opted in.
+                    </p>
+                </header>
+
+                <div className="flex flex-wrap justify-between items-center gap-3 mb-4 text-sm">
+                    <div className="flex rounded-lg bg-slate-800/80 p-1">
+                        {AGGREGATE_GROUPINGS.map(g => (
+                            <button key={g.key} onClick={() => setBy(g.key)} className={`px-3 py-1 rounded-md transition-colors ${by === g.key ? 'bg-sky-500 text-white' : 'text-slate-400 hover:text-slate-200'}`}>
+                                By {g.label.toLowerCase()}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex rounded-lg bg-slate-800/80 p-1">
+                        {PERIODS.map(p => (
+                            <button key={p} onClick={() => setDays(p)} className={`px-3 py-1 rounded-md transition-colors ${days === p ? 'bg-sky-500 text-white' : 'text-slate-400 hover:text-slate-200'}`}>
+                                {p} days
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {error && <p className="text-center text-red-400 text-sm py-6">{error}</p>}
+                {!error && !data && <p className="text-center text-slate-400 text-sm py-6">Loading...</p>}
+                {data && data.servers.length === 0 && <p className="text-center text-slate-400 text-sm py-6">No results have been contributed in the last {data.days} days.</p>}
+
+                {data && data.servers.map(server => (
+                    <div key={server.server} className="bg-slate-800/60 p-3 md:p-4 rounded-2xl shadow-2xl w-full border border-slate-700/80 mb-4">
+                        <h2 className="font-semibold text-slate-100 mb-2">{server.server} <span className="text-sm font-normal text-slate-400">· {server.all.count} result{server.all.count === 1 ? '' : 's'}</span></h2>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-slate-300 border-b border-slate-700">
+                                        <th className="text-left py-2 pr-2">{groupLabel}</th>
+                                        <th className="text-right py-2 px-2">Results</th>
+                                        <th className="text-right py-2 px-2">Ping</th>
+                                        <th className="text-right py-2 px-2">Download</th>
+                                        <th className="text-right py-2 pl-2">Upload</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {[server.all, ...server.groups].map(group => (
+                                        <tr key={group.key} className={`border-b border-slate-800 last:border-0 ${group === server.all ? 'font-semibold' : ''}`}>
+                                            <td className="py-2 pr-2 text-slate-200" title={group.key === 'Other' ? `Groups with fewer than ${MIN_GROUP_SIZE} results` : undefined}>{group.key}</td>
+                                            <td className="py-2 px-2 text-right font-mono text-slate-300">{group.count}</td>
+                                            <td className="py-2 px-2 text-right">{formatSpread(group.ping, 'ms')}</td>
+                                            <td className="py-2 px-2 text-right">{formatSpread(group.download, 'Mbps')}</td>
+                                            <td className="py-2 pl-2 text-right">{formatSpread(group.upload, 'Mbps')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                ))}
+
+                <p className="text-center mt-6 text-sm">
+                    <Link href="/" className="text-sky-400 hover:text-sky-300">Run your own test</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,107 @@
+// speedtest-embed.js
+// Host-page helper for the embeddable widget (/embed). Creates the iframe, and wraps the
+// postMessage protocol documented under "Embedding" in the README:
+//
+//   <script src="https://speed.example.com/speedtest-embed.js"></script>
+//   <script>
+//     const widget = SpeedtestEmbed.create(document.getElementById('speedtest'), {
+//       servers: ['Cloudflare'], profile: 'quick',
+//       on: { done: (message) => console.log(message.results) },
+//     });
+//     widget.start();
+//   </script>
+//
+// Messages are only accepted from the widget's frame and origin, and the widget is told
+// this page's origin so it only talks to it.
+(function () {
+    var PROTOCOL = 'speedtest-embed';
+    var EMBED_PATH = '/embed';
+    var scriptOrigin = document.currentScript ? new URL(document.currentScript.src).origin : window.location.origin;
+
+    // Query string for the widget: servers, profile (a preset name or custom fields), autostart, origin
+    function widgetUrl(src, options) {
+        var url = new URL(EMBED_PATH, src);
+        if (options.servers && options.servers.length > 0) url.searchParams.set('servers', options.servers.join(','));
+        if (typeof options.profile === 'string') {
+            url.searchParams.set('profile', options.profile);
+        } else if (options.profile) {
+            url.searchParams.set('profile', 'custom');
+            Object.keys(options.profile).forEach(function (key) {
+                url.searchParams.set(key, String(options.profile[key]));
+            });
+        }
+        if (options.autostart) url.searchParams.set('autostart', '1');
+        url.searchParams.set('origin', window.location.origin);
+        return url.toString();
+    }
+
+    // Mounts the widget in `container`. Options: src (the app's origin, default: where this
+    // script was loaded from), servers, profile, autostart, width, height, title, and `on`,
+    // a map of message type to handler. Returns { iframe, on, start, stop, destroy }.
+    function create(container, options) {
+        options = options || {};
+        var src = options.src || scriptOrigin;
+        var widgetOrigin = new URL(src).origin;
+        var handlers = {};
+        var ready = false;
+        var queued = [];
+
+        var iframe = document.createElement('iframe');
+        iframe.src = widgetUrl(src, options);
+        iframe.title = options.title || 'Connection speed test';
+        iframe.style.border = '0';
+        iframe.style.width = options.width || '100%';
+        iframe.style.height = options.height || '320px';
+        container.appendChild(iframe);
+
+        function on(type, handler) {
+            (handlers[type] = handlers[type] || []).push(handler);
+        }
+        Object.keys(options.on || {}).forEach(function (type) {
+            on(type, options.on[type]);
+        });
+
+        // Commands sent before the widget is ready are delivered once it is
+        function send(command) {
+            command.protocol = PROTOCOL;
+            if (ready) iframe.contentWindow.postMessage(command, widgetOrigin);
+            else queued.push(command);
+        }
+
+        function listener(event) {
+            if (event.source !== iframe.contentWindow || event.origin !== widgetOrigin) return;
+            var message = event.data;
+            if (!message || message.protocol !== PROTOCOL) return;
+            if (message.type === 'ready') {
+                ready = true;
+                queued.splice(0).forEach(send);
+            }
+            (handlers[message.type] || []).concat(handlers['*'] || []).forEach(function (handler) {
+                handler(message);
+            });
+        }
+        window.addEventListener('message', listener);
+
+        return {
+            iframe: iframe,
+            on: on,
+            // Overrides are optional: { servers: ['name', ...], profile: 'thorough' | { pings: 5, ... } }
+            start: function (overrides) {
+                overrides = overrides || {};
+                var command = { type: 'start' };
+                if (overrides.servers) command.servers = overrides.servers;
+                if (overrides.profile) command.profile = overrides.profile;
+                send(command);
+            },
+            stop: function () {
+                send({ type: 'stop' });
+            },
+            destroy: function () {
+                window.removeEventListener('message', listener);
+                iframe.remove();
+            },
+        };
+    }
+
+    window.SpeedtestEmbed = { create: create, PROTOCOL: PROTOCOL };
+})();
@@ -0,0 +1,121 @@
+// server.js
+// Standalone Node HTTP server for VM and Azure hosts. Serves the same /api/* contract as
+// the edge deployments by running the handlers from functions/api (via lib/router.js).
+//
+//   PORT=3000 HOST=0.0.0.0 node server.js
+//
+// MAX_UPLOAD_BYTES and MAX_DOWNLOAD_BYTES are read from the environment as on the edge.
+// RESULTS_FILE enables /api/results with submissions appended to that JSON Lines file.
+// TRUST_PROXY=1 keeps client-address and location headers set by a reverse proxy in front of the server.
+const http = require('node:http');
+const { Readable } = require('node:stream');
+
+const DEFAULT_PORT = 3000;
+
+// Headers lib/client.js reads the client address, location and edge from. A client can send
+// any of them, so they are only kept when a trusted proxy sets them (TRUST_PROXY). The ASN
+// only ever comes from request.cf, which is not built from headers.
+const CLIENT_ADDRESS_HEADERS = ['cf-connecting-ip', 'x-nf-client-connection-ip', 'x-real-ip', 'x-forwarded-for'];
+const CLIENT_LOCATION_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'x-country', 'x-vercel-ip-city', 'x-vercel-id', 'cf-ray'];
+const trustProxy = /^(1|true|yes)$/i.test(process.env.TRUST_PROXY || '');
+
+// Builds a fetch Request from a Node request. The client address and HTTP version are
+// exposed the way Cloudflare does (header and request.cf) so /api/meta can report them.
+function toRequest(req) {
+    const headers = new Headers();
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        headers.append(req.rawHeaders[i], req.rawHeaders[i + 1]);
+    }
+    if (!trustProxy) [...CLIENT_ADDRESS_HEADERS, ...CLIENT_LOCATION_HEADERS].forEach(name => headers.delete(name));
+    if (!CLIENT_ADDRESS_HEADERS.some(name => headers.has(name)) && req.socket.remoteAddress) {
+        headers.set('x-real-ip', req.socket.remoteAddress);
+    }
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+    const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+        method: req.method,
+        headers,
+        body: hasBody ? Readable.toWeb(req) : undefined,
+        duplex: hasBody ? 'half' : undefined,
+    });
+    Object.defineProperty(request, 'cf', { value: { httpProtocol: `HTTP/${req.httpVersion}` } });
+    return request;
+}
+
+// Streams a fetch Response to the client, honouring backpressure. If the client goes away
+// the body is cancelled, which stops endless stream=1 downloads.
+async function sendResponse(response, res) {
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    const reader = response.body.getReader();
+    res.on('close', () => {
+        if (!res.writableFinished) reader.cancel('Client disconnected').catch(() => {});
+    });
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            if (!res.write(value)) {
+                await new Promise(resolve => {
+                    const resume = () => {
+                        res.off('drain', resume);
+                        res.off('close', resume);
+                        resolve();
+                    };
+                    res.on('drain', resume);
+                    res.on('close', resume);
+                });
+            }
+            if (res.destroyed) return;
+        }
+        res.end();
+    } catch (error) {
+        res.destroy(error);
+    }
+}
+
+function createSpeedtestServer() {
+    const routerPromise = import('./lib/router.js');
+    const storePromise = process.env.RESULTS_FILE
+        ? Promise.all([import('./lib/resultStore.js'), import('./lib/fileResultStore.js')])
+            .then(([{ setResultStore }, { createFileResultStore }]) => setResultStore(createFileResultStore(process.env.RESULTS_FILE)))
+        : null;
+    return http.createServer(async (req, res) => {
+        try {
+            const { handleApiRequest } = await routerPromise;
+            await storePromise;
+            const response = await handleApiRequest(toRequest(req));
+            if (response) {
+                await sendResponse(response, res);
+                return;
+            }
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Speed test endpoints live under /api/ (ping, download, upload, servers, meta, results).\n');
+        } catch (error) {
+            console.error('Request failed:', error);
+            if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal server error\n');
+        }
+    });
+}
+
+module.exports = { createSpeedtestServer };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT ?? DEFAULT_PORT);
+    const host = process.env.HOST || undefined;
+    const server = createSpeedtestServer();
+    server.listen(port, host, () => {
+        const { address, port: boundPort } = server.address();
+        const shownHost = address === '::' || address === '0.0.0.0' ? 'localhost' : address;
+        console.log(`Speed test server listening on http://${shownHost.includes(':') ? `[${shownHost}]` : shownHost}:${boundPort}`);
+    });
+    const shutdown = () => {
+        server.close(() => process.exit(0));
+        server.closeAllConnections();
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
@@ -0,0 +1,30 @@
+// Deployment settings (lib/config.js): Worker env bindings take precedence over process.env,
+// and the handlers read their limits through it.
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setConfigVars, configValue } from '../lib/config.js';
+import upload from '../functions/api/upload.js';
+
+afterEach(() => setConfigVars(null));
+
+test('reads process.env until env bindings are set', () => {
+    const previous = process.env.SPEEDTEST_CONFIG_TEST;
+    process.env.SPEEDTEST_CONFIG_TEST = 'from-process';
+    try {
+        assert.equal(configValue('SPEEDTEST_CONFIG_TEST'), 'from-process');
+        setConfigVars({ SPEEDTEST_CONFIG_TEST: 'from-env' });
+        assert.equal(configValue('SPEEDTEST_CONFIG_TEST'), 'from-env');
+        setConfigVars({});
+        assert.equal(configValue('SPEEDTEST_CONFIG_TEST'), 'from-process');
+    } finally {
+        if (previous === undefined) delete process.env.SPEEDTEST_CONFIG_TEST;
+        else process.env.SPEEDTEST_CONFIG_TEST = previous;
+    }
+});
+
+test('the upload limit comes from Worker env bindings when they are set', async () => {
+    setConfigVars({ MAX_UPLOAD_BYTES: '1000' });
+    const response = await upload(new Request('http://localhost/api/upload', { method: 'POST', body: new Uint8Array(2000) }));
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).maxBytes, 1000);
+});
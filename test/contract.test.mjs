@@ -0,0 +1,99 @@
+// Endpoint contract shared by every host in the registry: functions/api on the edge,
+// server.js on VMs and _worker.js on Cloudflare. Runs against server.js by default.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './harness.mjs';
+
+let server;
+const url = (path) => `${server.baseUrl}${path}`;
+
+before(async () => {
+    server = await startServer({ MAX_UPLOAD_BYTES: String(1024 * 1024) });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('GET /api/ping answers OK with CORS', async () => {
+    const response = await fetch(url('/api/ping'));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.equal(await response.text(), 'OK');
+});
+
+test('GET /api/download sends exactly `size` bytes', async () => {
+    const response = await fetch(url('/api/download?size=200000'));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-length'), '200000');
+    assert.equal((await response.arrayBuffer()).byteLength, 200000);
+});
+
+test('GET /api/download?mode=seeded is reproducible', async () => {
+    const read = async () => Buffer.from(await (await fetch(url('/api/download?size=100000&mode=seeded&seed=9'))).arrayBuffer());
+    assert.deepEqual(await read(), await read());
+});
+
+test('POST /api/upload returns a receipt with the received byte count', async () => {
+    const response = await fetch(url('/api/upload'), { method: 'POST', body: new Uint8Array(300000) });
+    assert.equal(response.status, 200);
+    const receipt = await response.json();
+    assert.equal(receipt.bytes, 300000);
+    assert.equal(receipt.maxBytes, 1024 * 1024);
+    assert.equal(typeof receipt.durationMs, 'number');
+});
+
+test('GET /api/servers returns the validated registry', async () => {
+    const response = await fetch(url('/api/servers'));
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.version, 1);
+    assert.ok(body.servers.length > 0);
+    body.servers.forEach(s => assert.match(s.pingUrl, /\/api\/ping\/?$/));
+});
+
+test('GET /api/meta reports the client address and protocol', async () => {
+    const meta = await (await fetch(url('/api/meta'))).json();
+    assert.ok(meta.ip);
+    assert.equal(meta.protocol, 'HTTP/1.1');
+});
+
+test('GET /api/meta ignores client-address headers sent by the client', async () => {
+    const meta = await (await fetch(url('/api/meta'), { headers: { 'CF-Connecting-IP': '1.2.3.4', 'X-Forwarded-For': '1.2.3.4' } })).json();
+    assert.notEqual(meta.ip, '1.2.3.4');
+    assert.ok(meta.ip);
+});
+
+test('GET /api/meta ignores location headers sent by the client', async () => {
+    const spoofed = { 'CF-IPCountry': 'ZZ', 'X-Vercel-IP-Country': 'ZZ', 'X-Country': 'ZZ', 'X-Vercel-IP-City': 'Spoofville', 'X-Vercel-Id': 'zzz1::abc', 'CF-Ray': '8a1b2c3d-ZZZ' };
+    const meta = await (await fetch(url('/api/meta'), { headers: spoofed })).json();
+    assert.notEqual(meta.country, 'ZZ');
+    assert.notEqual(meta.city, 'Spoofville');
+    assert.notEqual(meta.colo, 'ZZZ');
+});
+
+test('preflight and wrong methods are answered over HTTP', async () => {
+    const preflight = await fetch(url('/api/upload'), { method: 'OPTIONS' });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+    const wrongMethod = await fetch(url('/api/upload'));
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'POST');
+});
+
+test('stream=1 downloads stop when the client disconnects', async () => {
+    const controller = new AbortController();
+    const response = await fetch(url('/api/download?stream=1'), { signal: controller.signal });
+    const reader = response.body.getReader();
+    let received = 0;
+    while (received < 1024 * 1024) received += (await reader.read()).value.length;
+    controller.abort();
+    await assert.rejects(reader.read());
+    // The server keeps serving after the aborted stream
+    assert.equal(await (await fetch(url('/api/ping'))).text(), 'OK');
+});
+
+test('routes accept a trailing slash and unknown routes are 404', async () => {
+    assert.equal((await fetch(url('/api/ping/'))).status, 200);
+    assert.equal((await fetch(url('/api/nope'))).status, 404);
+});
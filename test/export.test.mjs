@@ -0,0 +1,84 @@
+// JSON import (lib/export.js): a round-trip of an exported run, and rejection of files whose
+// fields would break the results table, the charts or the saved history.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildJsonExport, parseJsonImport, sanitizeRun } from '../lib/export.js';
+
+const run = {
+    id: 'lx1-abc123',
+    startedAt: 1699999990000,
+    finishedAt: 1700000000000,
+    servers: [{ name: 'Vercel', provider: 'Vercel', region: 'Global', pingUrl: 'https://speedtestjs.vercel.app/api/ping' }],
+    settings: { profile: 'standard', multiStream: true },
+    results: [
+        {
+            name: 'Vercel',
+            status: 'complete',
+            ping: 12,
+            download: '250.46',
+            upload: 'Disabled',
+            testConfig: { streams: 4, downloadRequestBytes: 26214400, uploadChunkBytes: 0 },
+            pingStats: { sent: 10, received: 9, lossPct: 10, avg: 12.4, min: 10.1, median: 12, p95: 15.2, max: 16, jitter: 1.3, samples: [10.1, null, 12] },
+            downloadStats: { bytes: 1000000, durationMs: 8000, samples: [{ t: 200, bytes: 50000, mbps: 2, warmup: true }] },
+            loadedLatency: { download: { median: 40, jitter: 3 } },
+            responsiveness: { grade: 'B', increaseMs: 28, rpm: 1500 },
+            meta: { ip: '203.0.113.7', city: 'Sydney', country: 'AU', asn: 13335, colo: 'SYD', protocol: 'h2' },
+            timings: { warmup: { dns: 2, connect: 5, tls: 8, ttfb: 30, transfer: 1, total: 46, durationMs: 46, reused: false, protocol: 'h2' }, download: null },
+        },
+        { name: 'Custom', status: 'error', ping: 'ERR', download: '--', upload: '--', errors: { ping: 'No ping replies' } },
+    ],
+};
+
+const exported = (overrides = {}) => JSON.stringify({ ...JSON.parse(buildJsonExport({ run, history: [] })), ...overrides });
+const withResult = (patch) => exported({ run: { ...run, results: [{ ...run.results[0], ...patch }] } });
+
+describe('JSON import', () => {
+    test('round-trip an exported run and its history', () => {
+        const older = { ...run, id: 'older', finishedAt: run.finishedAt - 60000 };
+        const { run: imported, history } = parseJsonImport(buildJsonExport({ run, history: [older] }));
+        assert.deepEqual(imported, run);
+        assert.deepEqual(history.map(r => r.id), ['older']);
+    });
+
+    test('drop fields the page does not read', () => {
+        const doc = JSON.parse(withResult({ extra: '<img onerror>' }));
+        doc.run.injected = true;
+        const { run: imported } = parseJsonImport(JSON.stringify(doc));
+        assert.equal('injected' in imported, false);
+        assert.equal('extra' in imported.results[0], false);
+    });
+
+    test('reject rows whose fields would break rendering', () => {
+        const broken = [
+            ['ping', { ping: { value: 12 } }],
+            ['download', { download: ['250'] }],
+            ['upload', { upload: '<script>' }],
+            ['status', { status: 'hacked' }],
+            ['pingStats', { pingStats: { jitter: 'high', lossPct: 0 } }],
+            ['pingStats', { pingStats: { jitter: 1, lossPct: 250 } }],
+            ['downloadStats', { downloadStats: { samples: [{ t: 1, mbps: 'fast' }] } }],
+            ['uploadStats', { uploadStats: { server: { chunks: 3 } } }],
+            ['loadedLatency', { loadedLatency: { upload: { median: '40' } } }],
+            ['responsiveness', { responsiveness: { grade: 'Z' } }],
+            ['meta', { meta: { city: { name: 'Sydney' } } }],
+            ['timings', { timings: { warmup: { durationMs: -1 } } }],
+            ['errors', { errors: { ping: { message: 'x' } } }],
+            ['name', { name: '' }],
+        ];
+        for (const [field, patch] of broken) {
+            assert.throws(() => parseJsonImport(withResult(patch)), new RegExp(`invalid results\\[0\\]\\.${field}`), field);
+        }
+    });
+
+    test('reject runs without a usable finish time', () => {
+        for (const finishedAt of [undefined, null, 'yesterday', -1, 1e20]) {
+            assert.throws(() => parseJsonImport(exported({ run: { ...run, finishedAt } })), /invalid finishedAt/, String(finishedAt));
+        }
+    });
+
+    test('leave invalid runs out of the imported history', () => {
+        const text = buildJsonExport({ run, history: [{ ...run, id: 'bad', results: [{ name: 'Vercel', ping: {} }] }, { id: 'no-results' }] });
+        assert.deepEqual(parseJsonImport(text).history, []);
+        assert.equal(sanitizeRun({ ...run, results: [null] }), null);
+    });
+});
@@ -0,0 +1,351 @@
+// Handler-level contract tests: each functions/api handler is called directly with a
+// standard Request, the same way every deployment target (edge, server.js, _worker.js)
+// invokes it.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ping from '../functions/api/ping.js';
+import download from '../functions/api/download.js';
+import upload from '../functions/api/upload.js';
+import servers from '../functions/api/servers.js';
+import meta from '../functions/api/meta.js';
+import results from '../functions/api/results.js';
+import { setResultStore, createMemoryResultStore } from '../lib/resultStore.js';
+import { SERVER_REGISTRY } from '../lib/servers.js';
+
+const BASE = 'http://localhost';
+const UPLOAD_LIMIT = 64 * 1024;
+
+const get = (handler, path, init) => handler(new Request(`${BASE}${path}`, init));
+const post = (body, headers) => upload(new Request(`${BASE}/api/upload`, { method: 'POST', body, headers, duplex: 'half' }));
+
+// A request body stream of `chunks` × `chunkSize` bytes that records whether it was cancelled.
+function trackedBody(chunks, chunkSize) {
+    const state = { pulled: 0, cancelled: false };
+    const stream = new ReadableStream({
+        pull(controller) {
+            if (state.pulled === chunks) return controller.close();
+            state.pulled += 1;
+            controller.enqueue(new Uint8Array(chunkSize));
+        },
+        cancel() {
+            state.cancelled = true;
+        },
+    });
+    return { stream, state };
+}
+
+const endpoints = [
+    { name: 'ping', handler: ping, path: '/api/ping', method: 'GET' },
+    { name: 'download', handler: download, path: '/api/download?size=10', method: 'GET' },
+    { name: 'upload', handler: upload, path: '/api/upload', method: 'POST' },
+    { name: 'servers', handler: servers, path: '/api/servers', method: 'GET' },
+    { name: 'meta', handler: meta, path: '/api/meta', method: 'GET' },
+];
+
+describe('every endpoint', () => {
+    for (const { name, handler, path, method } of endpoints) {
+        test(`${name} answers an OPTIONS preflight`, async () => {
+            const response = await get(handler, path, { method: 'OPTIONS' });
+            assert.equal(response.status, 204);
+            assert.equal(response.headers.get('access-control-allow-origin'), '*');
+            assert.match(response.headers.get('access-control-allow-methods'), new RegExp(`\\b${method}\\b`));
+            assert.match(response.headers.get('access-control-allow-headers'), /Content-Type/);
+        });
+
+        test(`${name} lets the page read Resource Timing`, async () => {
+            const response = await get(handler, path, { method, body: method === 'POST' ? new Uint8Array(16) : undefined });
+            assert.ok(response.ok, `status ${response.status}`);
+            assert.equal(response.headers.get('timing-allow-origin'), '*');
+            await response.body?.cancel();
+        });
+
+        test(`${name} rejects other methods with 405 and Allow`, async () => {
+            const wrong = method === 'GET' ? 'POST' : 'GET';
+            const response = await get(handler, path, { method: wrong, body: wrong === 'POST' ? 'x' : undefined });
+            assert.equal(response.status, 405);
+            assert.equal(response.headers.get('allow'), method);
+            assert.equal(response.headers.get('access-control-allow-origin'), '*');
+        });
+    }
+});
+
+describe('GET /api/ping', () => {
+    test('answers OK and is never cacheable', async () => {
+        const response = await get(ping, '/api/ping');
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), 'OK');
+        const cacheControl = response.headers.get('cache-control');
+        assert.match(cacheControl, /no-store/);
+        assert.doesNotMatch(cacheControl, /s-maxage|public/);
+    });
+});
+
+describe('GET /api/download', () => {
+    test('sends exactly `size` bytes with a matching Content-Length', async () => {
+        for (const size of [1, 65535, 65536, 65537, 1000000]) {
+            const response = await get(download, `/api/download?size=${size}`);
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-length'), String(size));
+            assert.equal((await response.arrayBuffer()).byteLength, size, `size=${size}`);
+        }
+    });
+
+    test('defaults to 10MB and is not cacheable', async () => {
+        const response = await get(download, '/api/download');
+        assert.equal(response.headers.get('content-length'), String(10 * 1024 * 1024));
+        assert.match(response.headers.get('cache-control'), /no-store/);
+        await response.body.cancel();
+    });
+
+    test('rejects invalid sizes and modes with 400', async () => {
+        for (const query of ['size=abc', 'size=12abc', 'size=0', 'size=-5', 'size=1e3', `size=${2 ** 40}`, 'size=10&mode=bogus', 'size=10&mode=seeded&seed=-1']) {
+            const response = await get(download, `/api/download?${query}`);
+            assert.equal(response.status, 400, query);
+            assert.equal(response.headers.get('access-control-allow-origin'), '*');
+            assert.ok((await response.json()).message);
+        }
+    });
+
+    test('serves single byte ranges', async () => {
+        const full = new Uint8Array(await (await get(download, '/api/download?size=100000&mode=seeded&seed=3')).arrayBuffer());
+
+        const partial = await get(download, '/api/download?size=100000&mode=seeded&seed=3', { headers: { Range: 'bytes=70000-70999' } });
+        assert.equal(partial.status, 206);
+        assert.equal(partial.headers.get('content-range'), 'bytes 70000-70999/100000');
+        assert.equal(partial.headers.get('content-length'), '1000');
+        assert.deepEqual(new Uint8Array(await partial.arrayBuffer()), full.subarray(70000, 71000));
+
+        const suffix = await get(download, '/api/download?size=100000&mode=seeded&seed=3', { headers: { Range: 'bytes=-10' } });
+        assert.equal(suffix.headers.get('content-range'), 'bytes 99990-99999/100000');
+        assert.deepEqual(new Uint8Array(await suffix.arrayBuffer()), full.subarray(99990));
+    });
+
+    test('answers unsatisfiable ranges with 416', async () => {
+        const response = await get(download, '/api/download?size=100', { headers: { Range: 'bytes=100-' } });
+        assert.equal(response.status, 416);
+        assert.equal(response.headers.get('content-range'), 'bytes */100');
+    });
+
+    test('seeded and zero payloads are deterministic', async () => {
+        const read = async (query) => new Uint8Array(await (await get(download, `/api/download?${query}`)).arrayBuffer());
+        assert.deepEqual(await read('size=200000&mode=seeded&seed=5'), await read('size=200000&mode=seeded&seed=5'));
+        assert.notDeepEqual(await read('size=1000&mode=seeded&seed=5'), await read('size=1000&mode=seeded&seed=6'));
+        assert.ok((await read('size=1000&mode=zero')).every(b => b === 0));
+    });
+
+    test('stream=1 keeps sending until the client cancels mid-stream', async () => {
+        const response = await get(download, '/api/download?stream=1');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-length'), null);
+        const reader = response.body.getReader();
+        let received = 0;
+        while (received < 5 * 1024 * 1024) {
+            const { done, value } = await reader.read();
+            assert.equal(done, false);
+            received += value.length;
+        }
+        await reader.cancel('test finished');
+        assert.equal((await reader.read()).done, true);
+    });
+
+    test('stream=1 stops at MAX_DOWNLOAD_BYTES', async () => {
+        const previousLimit = process.env.MAX_DOWNLOAD_BYTES;
+        process.env.MAX_DOWNLOAD_BYTES = '100000';
+        try {
+            const response = await get(download, '/api/download?stream=1&size=999999999');
+            assert.equal(response.status, 200);
+            assert.equal((await response.arrayBuffer()).byteLength, 100000);
+        } finally {
+            if (previousLimit === undefined) delete process.env.MAX_DOWNLOAD_BYTES;
+            else process.env.MAX_DOWNLOAD_BYTES = previousLimit;
+        }
+    });
+});
+
+describe('POST /api/upload', () => {
+    let previousLimit;
+    before(() => {
+        previousLimit = process.env.MAX_UPLOAD_BYTES;
+        process.env.MAX_UPLOAD_BYTES = String(UPLOAD_LIMIT);
+    });
+    after(() => {
+        if (previousLimit === undefined) delete process.env.MAX_UPLOAD_BYTES;
+        else process.env.MAX_UPLOAD_BYTES = previousLimit;
+    });
+
+    test('returns a receipt with the exact byte count', async () => {
+        const response = await post(new Uint8Array(50000));
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('cache-control'), /no-store/);
+        const receipt = await response.json();
+        assert.equal(receipt.bytes, 50000);
+        assert.equal(receipt.maxBytes, UPLOAD_LIMIT);
+        assert.equal(typeof receipt.durationMs, 'number');
+    });
+
+    test('rejects a missing body with 400', async () => {
+        const response = await upload(new Request(`${BASE}/api/upload`, { method: 'POST' }));
+        assert.equal(response.status, 400);
+        assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    });
+
+    test('rejects an oversized Content-Length with 413 before reading', async () => {
+        const { stream, state } = trackedBody(4, UPLOAD_LIMIT);
+        const response = await post(stream, { 'Content-Length': String(4 * UPLOAD_LIMIT) });
+        assert.equal(response.status, 413);
+        assert.equal((await response.json()).maxBytes, UPLOAD_LIMIT);
+        assert.ok(state.pulled <= 1, 'body should not be consumed');
+    });
+
+    test('cancels an oversized streamed body mid-stream with 413', async () => {
+        const { stream, state } = trackedBody(100, 16 * 1024);
+        const response = await post(stream);
+        assert.equal(response.status, 413);
+        assert.equal(state.cancelled, true);
+        assert.ok(state.pulled < 100, 'upload should stop reading once over the limit');
+    });
+
+    test('answers 500 when the client aborts the body mid-stream', async () => {
+        let sent = 0;
+        const stream = new ReadableStream({
+            pull(controller) {
+                if (sent === 2) return controller.error(new Error('client went away'));
+                sent += 1;
+                controller.enqueue(new Uint8Array(1024));
+            },
+        });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            const response = await post(stream);
+            assert.equal(response.status, 500);
+            assert.equal(response.headers.get('access-control-allow-origin'), '*');
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+describe('GET /api/servers and /api/meta', () => {
+    test('servers returns the validated registry', async () => {
+        const response = await get(servers, '/api/servers');
+        assert.equal(response.status, 200);
+        const { version, servers: list } = await response.json();
+        assert.equal(version, 1);
+        assert.ok(list.every(s => s.pingUrl && s.downloadUrl && s.uploadUrl));
+    });
+
+    test('meta reports Cloudflare request.cf fields and nulls otherwise', async () => {
+        const request = new Request(`${BASE}/api/meta`, { headers: { 'CF-Connecting-IP': '203.0.113.7' } });
+        Object.defineProperty(request, 'cf', { value: { colo: 'SYD', country: 'AU', asn: 13335, asOrganization: 'Example ISP', httpProtocol: 'HTTP/3' } });
+        const body = await (await meta(request)).json();
+        assert.deepEqual(
+            { ip: body.ip, colo: body.colo, country: body.country, asn: body.asn, isp: body.isp, protocol: body.protocol },
+            { ip: '203.0.113.7', colo: 'SYD', country: 'AU', asn: 13335, isp: 'Example ISP', protocol: 'HTTP/3' },
+        );
+        const bare = await (await get(meta, '/api/meta')).json();
+        assert.equal(bare.colo, null);
+        assert.equal(bare.ip, null);
+    });
+
+    test('meta decodes the Vercel city header and keeps a malformed one as sent', async () => {
+        const city = async (value) => (await (await get(meta, '/api/meta', { headers: { 'X-Vercel-IP-City': value } })).json()).city;
+        assert.equal(await city('S%C3%A3o%20Paulo'), 'São Paulo');
+        const response = await get(meta, '/api/meta', { headers: { 'X-Vercel-IP-City': '%E0%A4%A' } });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).city, '%E0%A4%A');
+    });
+});
+
+describe('GET and POST /api/results', () => {
+    const server = SERVER_REGISTRY[0].name;
+    const submission = (overrides = {}) => ({ version: 1, results: [{ server, ping: 12, jitter: 1.5, lossPct: 0, download: 250.5, upload: 40, grade: 'A', ...overrides }] });
+    let address = 0;
+    // Each call comes from a new address unless one is given, so the rate limit only applies where tested
+    const submit = (body, { ip = `198.51.100.${++address}`, cf } = {}) => {
+        const request = new Request(`${BASE}/api/results`, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body), headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip } });
+        if (cf) Object.defineProperty(request, 'cf', { value: cf });
+        return results(request);
+    };
+    const saved = {};
+    before(() => {
+        ['RESULTS_RATE_LIMIT', 'RESULTS_MAX_BYTES'].forEach(name => { saved[name] = process.env[name]; });
+        process.env.RESULTS_RATE_LIMIT = '3';
+        process.env.RESULTS_MAX_BYTES = '2048';
+    });
+    after(() => {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+        setResultStore(undefined);
+    });
+
+    test('answers 404 while collection is disabled, but still answers preflights', async () => {
+        setResultStore(null);
+        assert.equal((await submit(submission())).status, 404);
+        assert.equal((await get(results, '/api/results')).status, 404);
+        assert.equal((await get(results, '/api/results', { method: 'OPTIONS' })).status, 204);
+    });
+
+    test('stores submissions with the request country and ASN and aggregates them', async () => {
+        setResultStore(createMemoryResultStore());
+        for (const download of [100, 200, 300]) {
+            const response = await submit(submission({ download }), { cf: { country: 'AU', asn: 13335 } });
+            assert.equal(response.status, 201);
+            assert.deepEqual(await response.json(), { accepted: 1, ignored: [] });
+        }
+        await submit(submission({ download: 50 }), { cf: { country: 'NZ', asn: 64500 } });
+
+        const byCountry = await (await get(results, '/api/results?by=country')).json();
+        assert.equal(byCountry.total, 4);
+        const { all, groups } = byCountry.servers.find(s => s.server === server);
+        assert.equal(all.count, 4);
+        assert.deepEqual(groups.map(g => [g.key, g.count]), [['AU', 3], ['Other', 1]]);
+        assert.deepEqual(groups[0].download, { n: 3, p10: 120, p50: 200, p90: 280 });
+
+        const byAsn = await (await get(results, '/api/results?by=asn&days=7')).json();
+        assert.equal(byAsn.servers.find(s => s.server === server).groups[0].key, 'AS13335');
+        assert.equal((await get(results, '/api/results?by=city')).status, 400);
+    });
+
+    test('skips servers outside the registry', async () => {
+        setResultStore(createMemoryResultStore());
+        const response = await submit({ version: 1, results: [...submission().results, { server: 'Not in the registry', ping: 1, download: 1, upload: 1 }] });
+        assert.deepEqual(await response.json(), { accepted: 1, ignored: ['Not in the registry'] });
+    });
+
+    test('rejects malformed submissions with the problems listed', async () => {
+        setResultStore(createMemoryResultStore());
+        assert.equal((await submit('not json')).status, 400);
+        const response = await submit(submission({ ping: -1, download: '250', extra: true }));
+        assert.equal(response.status, 400);
+        const { problems } = await response.json();
+        assert.equal(problems.length, 3);
+        assert.equal((await submit({ version: 2, results: [] })).status, 400);
+    });
+
+    test('rejects oversized submissions with 413', async () => {
+        setResultStore(createMemoryResultStore());
+        const response = await submit({ version: 1, results: Array.from({ length: 40 }, () => submission().results[0]) });
+        assert.equal(response.status, 413);
+        assert.equal((await response.json()).maxBytes, 2048);
+    });
+
+    test('rate limits submissions per client address with 429 and Retry-After', async () => {
+        setResultStore(createMemoryResultStore());
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await submit(submission(), { ip: '203.0.113.99' })).status, 201);
+        }
+        const limited = await submit(submission(), { ip: '203.0.113.99' });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        assert.equal((await submit(submission(), { ip: '203.0.113.100' })).status, 201);
+    });
+
+    test('refuses submissions without a client address instead of sharing one bucket', async () => {
+        setResultStore(createMemoryResultStore());
+        const request = new Request(`${BASE}/api/results`, { method: 'POST', body: JSON.stringify(submission()), headers: { 'Content-Type': 'application/json' } });
+        assert.equal((await results(request)).status, 403);
+    });
+});
@@ -0,0 +1,46 @@
+// Starts the standalone Node server (server.js) on a free port for the contract tests.
+// Set SPEEDTEST_BASE_URL to run the same tests against a deployed host instead.
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_ENTRY = fileURLToPath(new URL('../server.js', import.meta.url));
+const STARTUP_TIMEOUT_MS = 10000;
+
+// Resolves with { baseUrl, stop() }.
+export async function startServer(env = {}) {
+    if (process.env.SPEEDTEST_BASE_URL) {
+        return { baseUrl: process.env.SPEEDTEST_BASE_URL.replace(/\/+$/, ''), stop: async () => {} };
+    }
+
+    const child = spawn(process.execPath, [SERVER_ENTRY], {
+        env: { ...process.env, PORT: '0', HOST: '127.0.0.1', ...env },
+        stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const baseUrl = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server.js did not start in time')), STARTUP_TIMEOUT_MS);
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /listening on (http:\/\/\S+)/.exec(output);
+            if (match) {
+                clearTimeout(timer);
+                resolve(match[1]);
+            }
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server.js exited with code ${code} before listening`));
+        });
+    });
+    child.stdout.resume();
+
+    return {
+        baseUrl,
+        stop: async () => {
+            child.kill('SIGTERM');
+            await exited;
+        },
+    };
+}
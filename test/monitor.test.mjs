@@ -0,0 +1,135 @@
+// Monitoring (lib/monitor.js): the scheduler's skipping and hidden-tab backoff under fake
+// timers, and alerts that fire only for breaches that are new since the previous run.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMonitorScheduler, evaluateAlerts } from '../lib/monitor.js';
+
+const INTERVAL_MS = 60 * 1000;
+
+// Lets the scheduler's awaited runOnce() settle; setImmediate is not faked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A scheduler on fake setTimeout and Date whose runs finish when finishRun() is called.
+function fakeScheduler(t, options = {}) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    t.after(() => t.mock.timers.reset());
+    const calls = { runs: 0, skips: 0, scheduled: [] };
+    let finish = () => {};
+    const scheduler = createMonitorScheduler({
+        intervalMs: INTERVAL_MS,
+        runOnce: () => {
+            calls.runs++;
+            return new Promise(resolve => { finish = resolve; });
+        },
+        onSkip: () => calls.skips++,
+        onSchedule: (at) => calls.scheduled.push(at),
+        ...options,
+    });
+    t.after(() => scheduler.stop());
+    return {
+        scheduler,
+        calls,
+        finishRun: async () => {
+            finish();
+            await flush();
+        },
+    };
+}
+
+describe('monitor scheduler', () => {
+    test('skip a tick while the previous run is still going', async (t) => {
+        const { scheduler, calls, finishRun } = fakeScheduler(t);
+        scheduler.start();
+        assert.equal(calls.runs, 1);
+
+        t.mock.timers.tick(INTERVAL_MS);
+        assert.deepEqual({ runs: calls.runs, skips: calls.skips }, { runs: 1, skips: 1 });
+
+        await finishRun();
+        t.mock.timers.tick(INTERVAL_MS);
+        assert.deepEqual({ runs: calls.runs, skips: calls.skips }, { runs: 2, skips: 1 });
+    });
+
+    test('skip a tick while a manual test is running', async (t) => {
+        let busy = false;
+        const { scheduler, calls, finishRun } = fakeScheduler(t, { isBusy: () => busy });
+        scheduler.start();
+        await finishRun();
+
+        busy = true;
+        t.mock.timers.tick(INTERVAL_MS);
+        assert.deepEqual({ runs: calls.runs, skips: calls.skips }, { runs: 1, skips: 1 });
+        busy = false;
+        t.mock.timers.tick(INTERVAL_MS);
+        assert.equal(calls.runs, 2);
+    });
+
+    test('back off while the tab is hidden and catch up when it is shown', async (t) => {
+        let hidden = false;
+        const { scheduler, calls, finishRun } = fakeScheduler(t, { hiddenBackoffFactor: 4, isHidden: () => hidden });
+        scheduler.start();
+        await finishRun();
+        assert.equal(calls.scheduled.at(-1), Date.now() + INTERVAL_MS);
+
+        hidden = true;
+        scheduler.visibilityChanged();
+        assert.equal(calls.scheduled.at(-1), Date.now() + 4 * INTERVAL_MS);
+        t.mock.timers.tick(3 * INTERVAL_MS);
+        assert.equal(calls.runs, 1);
+        t.mock.timers.tick(INTERVAL_MS);
+        assert.equal(calls.runs, 2);
+        await finishRun();
+
+        // Shown again two intervals after the last run: the next one is already overdue
+        t.mock.timers.tick(2 * INTERVAL_MS);
+        hidden = false;
+        scheduler.visibilityChanged();
+        t.mock.timers.tick(0);
+        assert.equal(calls.runs, 3);
+    });
+
+    test('stop cancels the pending run', async (t) => {
+        const { scheduler, calls, finishRun } = fakeScheduler(t);
+        scheduler.start();
+        await finishRun();
+        scheduler.stop();
+        t.mock.timers.tick(10 * INTERVAL_MS);
+        assert.equal(calls.runs, 1);
+        assert.equal(scheduler.active, false);
+        assert.equal(calls.scheduled.at(-1), null);
+    });
+});
+
+describe('monitor alerts', () => {
+    const thresholds = { maxPing: 50, minDownload: 100, minUpload: null };
+    const row = (name, ping, download, extra = {}) => ({ name, status: 'complete', ping, download, upload: '20.00', ...extra });
+
+    test('alert only on breaches that are new since the previous run', () => {
+        const first = [row('Sydney', 80, '250.00'), row('Stockholm', 20, '300.00')];
+        assert.deepEqual(evaluateAlerts(first, null, thresholds).map(a => [a.server, a.kind]), [['Sydney', 'ping']]);
+
+        // Sydney stays slow and also drops below the download threshold
+        const second = [row('Sydney', 90, '40.00'), row('Stockholm', 20, '300.00')];
+        const alerts = evaluateAlerts(second, first, thresholds);
+        assert.deepEqual(alerts.map(a => [a.server, a.kind]), [['Sydney', 'download']]);
+        assert.equal(alerts[0].message, 'Sydney: download 40 Mbps < 100 Mbps');
+
+        assert.deepEqual(evaluateAlerts(second, second, thresholds), []);
+    });
+
+    test('alert again after a host recovers and breaches once more', () => {
+        const slow = [row('Sydney', 80, '250.00')];
+        const recovered = [row('Sydney', 20, '250.00')];
+        assert.deepEqual(evaluateAlerts(recovered, slow, thresholds), []);
+        assert.equal(evaluateAlerts(slow, recovered, thresholds).length, 1);
+    });
+
+    test('report errors, and ignore placeholders and unset thresholds', () => {
+        const failed = [row('Sydney', 'ERR', 'ERR', { status: 'error', errors: { ping: 'No ping replies' } })];
+        assert.deepEqual(evaluateAlerts(failed, null, thresholds), [
+            { server: 'Sydney', kind: 'error', message: 'Sydney: errored (ping: No ping replies)' },
+        ]);
+        assert.deepEqual(evaluateAlerts([row('Sydney', '--', 'Disabled')], null, thresholds), []);
+        assert.deepEqual(evaluateAlerts([row('Sydney', 900, '1.00')], null, { maxPing: null, minDownload: null, minUpload: null }), []);
+    });
+});
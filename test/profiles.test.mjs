@@ -0,0 +1,99 @@
+// Test profiles (lib/profiles.js): the URL query round-trip, clamping of values that come
+// from a link, and the data-usage estimate shown before a run.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TEST_PROFILES, PROFILE_RANGES, CUSTOM_PROFILE_KEY, profileSettings, matchProfile,
+    profileToQuery, profileFromQuery, estimateDataUsage,
+} from '../lib/profiles.js';
+
+const MB = 1024 * 1024;
+const OVERHEAD = 256 * 1024; // Per-server allowance for pings and metadata
+
+// Round-trips through a real query string, as a shared link would
+const viaUrl = (query) => Object.fromEntries(new URLSearchParams(query));
+
+describe('profile URL query', () => {
+    test('presets are stored by name and read back unchanged', () => {
+        TEST_PROFILES.forEach(({ key, settings }) => {
+            const query = profileToQuery(settings);
+            assert.deepEqual(query, { profile: key });
+            assert.deepEqual(profileFromQuery(viaUrl(query)), settings);
+        });
+    });
+
+    test('custom settings spell out every value and survive the round-trip', () => {
+        const settings = { ...profileSettings('quick'), pingCount: 12, testDurationMs: 7500, maxPhaseBytes: 25 * MB, stableTolerance: 0.03 };
+        const query = profileToQuery(settings);
+        assert.equal(query.profile, CUSTOM_PROFILE_KEY);
+        assert.deepEqual(query, { profile: 'custom', pings: '12', pingTimeout: '2000', timeout: '30', duration: '7.5', cap: '25', stable: '3', streams: 'single' });
+        assert.deepEqual(profileFromQuery(viaUrl(query)), settings);
+    });
+
+    test('an uncapped custom profile uses cap=none', () => {
+        const settings = { ...profileSettings('thorough'), pingCount: 40 };
+        const query = profileToQuery(settings);
+        assert.equal(query.cap, 'none');
+        assert.equal(profileFromQuery(viaUrl(query)).maxPhaseBytes, null);
+    });
+
+    test('out-of-range values are clamped to the editor ranges', () => {
+        const settings = profileFromQuery({ profile: 'custom', pings: '5000', pingTimeout: '1', timeout: '0.1', duration: '999', cap: '100000', stable: '-5' });
+        assert.equal(settings.pingCount, PROFILE_RANGES.pingCount.max);
+        assert.equal(settings.pingTimeoutMs, PROFILE_RANGES.pingTimeoutMs.min);
+        assert.equal(settings.requestTimeoutMs, PROFILE_RANGES.requestTimeoutMs.min);
+        assert.equal(settings.testDurationMs, PROFILE_RANGES.testDurationMs.max);
+        assert.equal(settings.maxPhaseBytes, PROFILE_RANGES.maxPhaseBytes.max);
+        assert.equal(settings.stableTolerance, PROFILE_RANGES.stableTolerance.min);
+    });
+
+    test('missing or garbage custom values fall back to the standard profile', () => {
+        const standard = profileSettings('standard');
+        assert.deepEqual(profileFromQuery({ profile: 'custom' }), standard);
+        assert.deepEqual(profileFromQuery({ profile: 'custom', pings: 'lots', duration: '', cap: 'big', streams: 'many', pingTimeout: ['1', '2'] }), standard);
+        assert.deepEqual(profileFromQuery({ profile: 'custom', pings: '20', stable: 'x' }), { ...standard, pingCount: 20 });
+    });
+
+    test('no profile or an unknown one yields null', () => {
+        assert.equal(profileFromQuery({}), null);
+        assert.equal(profileFromQuery({ profile: 'turbo' }), null);
+        assert.equal(profileFromQuery({ profile: ['quick', 'thorough'] }), null);
+    });
+
+    test('matchProfile names a preset only on an exact match', () => {
+        assert.equal(matchProfile(profileSettings('quick')), 'quick');
+        assert.equal(matchProfile({ ...profileSettings('quick'), multiStream: true }), CUSTOM_PROFILE_KEY);
+    });
+});
+
+describe('estimateDataUsage', () => {
+    const server = (name, maxUpload = 26 * MB) => ({ name, capabilities: { maxUpload, streams: 4 } });
+    const quick = profileSettings('quick'); // 5 s phases, 10 MB cap
+
+    test('uses the latest saved rate, limited by the cap', () => {
+        // 8 Mbps for 5 s is 5 MB; 800 Mbps would be 500 MB, so the cap applies
+        const history = [
+            { results: [{ name: 'A', download: '8.00', upload: 'ERR' }] },
+            { results: [{ name: 'A', download: '1.00', upload: '800' }] },
+        ];
+        const { expectedBytes, maxBytes, unknownServers } = estimateDataUsage(quick, [server('A')], history);
+        assert.equal(expectedBytes, OVERHEAD + 5 * 1000 * 1000 + 10 * MB);
+        assert.equal(maxBytes, OVERHEAD + 2 * 10 * MB);
+        assert.equal(unknownServers, 0);
+    });
+
+    test('counts untested servers at the cap and skips upload when it is disabled', () => {
+        const { expectedBytes, maxBytes } = estimateDataUsage(quick, [server('A'), server('B', 0)]);
+        assert.equal(expectedBytes, 2 * OVERHEAD + 3 * 10 * MB);
+        assert.equal(maxBytes, 2 * OVERHEAD + 3 * 10 * MB);
+    });
+
+    test('without a cap, untested servers are unknown and there is no maximum', () => {
+        const thorough = profileSettings('thorough'); // 20 s phases, no cap
+        const history = [{ results: [{ name: 'A', download: '80', upload: '8' }] }];
+        const { expectedBytes, maxBytes, unknownServers } = estimateDataUsage(thorough, [server('A'), server('B')], history);
+        assert.equal(expectedBytes, 2 * OVERHEAD + 200 * 1000 * 1000 + 20 * 1000 * 1000);
+        assert.equal(maxBytes, null);
+        assert.equal(unknownServers, 1);
+    });
+});
@@ -0,0 +1,85 @@
+// Results table ranking (lib/ranking.js): sorting, column winners and the weighted score,
+// including failed measurements, ties and sub-millisecond pings.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortResults, columnWinners, scoreResults } from '../lib/ranking.js';
+
+const row = (name, ping, download, upload) => ({ name, ping, download, upload, status: 'complete' });
+const names = (results) => results.map(r => r.name);
+
+describe('sortResults', () => {
+    const results = [
+        row('A', '30.0', '100.00', 'Disabled'),
+        row('B', 'ERR', 'ERR', 'ERR'),
+        row('C', '10.0', '300.00', '20.00'),
+        row('D', '20.0', '--', '40.00'),
+    ];
+
+    test('puts the best first and rows without a number last, in their original order', () => {
+        assert.deepEqual(names(sortResults(results, 'ping')), ['C', 'D', 'A', 'B']);
+        assert.deepEqual(names(sortResults(results, 'download')), ['C', 'A', 'B', 'D']);
+        assert.deepEqual(names(sortResults(results, 'upload')), ['D', 'C', 'A', 'B']);
+    });
+
+    test('can sort worst first, still with missing values last', () => {
+        assert.deepEqual(names(sortResults(results, 'ping', 'worst')), ['A', 'D', 'C', 'B']);
+    });
+
+    test('keeps the original order for ties', () => {
+        const tied = [row('A', '12.0', '50', '5'), row('B', '12.0', '50', '5'), row('C', '11.0', '50', '5')];
+        assert.deepEqual(names(sortResults(tied, 'ping')), ['C', 'A', 'B']);
+        assert.deepEqual(names(sortResults(tied, 'download')), ['A', 'B', 'C']);
+    });
+});
+
+describe('columnWinners', () => {
+    test('names the best row per metric, or null when nothing was measured', () => {
+        const results = [row('A', '30.0', '100.00', 'Disabled'), row('B', '0.4', 'ERR', 'ERR')];
+        assert.deepEqual(columnWinners(results), { ping: 'B', download: 'A', upload: null });
+        assert.deepEqual(columnWinners([]), { ping: null, download: null, upload: null });
+    });
+
+    test('gives a tie to the first row', () => {
+        assert.equal(columnWinners([row('A', '9.0', '1', '1'), row('B', '9.0', '1', '1')]).ping, 'A');
+    });
+});
+
+describe('scoreResults', () => {
+    test('scales each metric against the best and ranks by the weighted mean', () => {
+        const ranking = scoreResults([row('A', '20.0', '100', '50'), row('B', '10.0', '200', '100')]);
+        assert.deepEqual(ranking.map(r => [r.name, r.score]), [['B', 100], ['A', 50]]);
+        assert.deepEqual(ranking[1].parts, { ping: 0.5, download: 0.5, upload: 0.5 });
+    });
+
+    test('counts ERR and Disabled as 0 and skips rows with no measurement at all', () => {
+        const ranking = scoreResults([
+            row('A', '10.0', '100', 'Disabled'),
+            row('B', '10.0', 'ERR', '50'),
+            row('C', 'ERR', 'ERR', 'ERR'),
+            row('D', '--', '--', '--'),
+        ]);
+        assert.deepEqual(ranking.map(r => r.name), ['A', 'B']);
+        assert.deepEqual(ranking.map(r => r.score), [67, 67]);
+        assert.deepEqual(ranking[0].parts, { ping: 1, download: 1, upload: 0 });
+    });
+
+    test('returns nothing when every weight is zero', () => {
+        assert.deepEqual(scoreResults([row('A', '10.0', '100', '50')], { ping: 0, download: 0, upload: 0 }), []);
+    });
+
+    test('leaves out metrics with a zero weight', () => {
+        const ranking = scoreResults([row('A', '10.0', '100', '10'), row('B', '50.0', '50', '100')], { ping: 0, download: 0, upload: 1 });
+        assert.deepEqual(ranking.map(r => [r.name, r.score]), [['B', 100], ['A', 10]]);
+    });
+
+    test('treats pings under 1 ms as 1 ms', () => {
+        const ranking = scoreResults([row('A', '0.2', '100', '100'), row('B', '0.0', '100', '100'), row('C', '2.0', '100', '100')], { ping: 1, download: 0, upload: 0 });
+        assert.deepEqual(ranking.map(r => [r.name, r.score]), [['A', 100], ['B', 100], ['C', 50]]);
+        ranking.forEach(r => assert.ok(Number.isFinite(r.score)));
+    });
+
+    test('keeps the original order for equal scores', () => {
+        const ranking = scoreResults([row('A', '10.0', '100', '50'), row('B', '10.0', '100', '50')]);
+        assert.deepEqual(ranking.map(r => [r.name, r.score]), [['A', 100], ['B', 100]]);
+    });
+});
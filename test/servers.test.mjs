@@ -0,0 +1,16 @@
+// Server registry schema (lib/servers.js): capability limits that would make a test request
+// the host refuses are rejected up front.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateServer } from '../lib/servers.js';
+
+const entry = (capabilities) => ({ name: 'Example', baseUrl: 'https://speed.example.com', provider: 'Example', region: 'EU', capabilities });
+
+test('capabilities: maxUpload 0 disables uploads, maxDownload must be at least 1 byte', () => {
+    assert.deepEqual(validateServer(entry({ maxUpload: 0, maxDownload: 1 })), []);
+    assert.deepEqual(validateServer(entry({ maxDownload: 0 })), ['capabilities.maxDownload must be a positive integer (bytes)']);
+    assert.deepEqual(validateServer(entry({ maxDownload: 1.5, streams: 0 })), [
+        'capabilities.maxDownload must be a positive integer (bytes)',
+        'capabilities.streams must be an integer between 1 and 16',
+    ]);
+});
@@ -0,0 +1,88 @@
+// Shareable result links (lib/share.js): the encode/decode round-trip and rejection of
+// damaged or malformed payloads.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSharedRun, decodeSharedRun, summarizeSharedRun, MAX_SHARE_PAYLOAD_LENGTH } from '../lib/share.js';
+
+// Packs an arbitrary document the way encodeSharedRun() does, to build hostile links
+async function pack(doc) {
+    const stream = new Blob([JSON.stringify(doc)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return Buffer.from(await new Response(stream).arrayBuffer()).toString('base64url');
+}
+
+const run = {
+    finishedAt: 1700000000000,
+    settings: { multiStream: false },
+    servers: [{ name: 'Vercel', provider: 'Vercel', region: 'Global' }],
+    results: [
+        {
+            name: 'Vercel',
+            status: 'complete',
+            ping: '12.34',
+            download: '250.456',
+            upload: 'Disabled',
+            pingStats: { jitter: 1.26, lossPct: 10 },
+            responsiveness: { grade: 'A' },
+            meta: { colo: 'SYD', protocol: 'HTTP/2' },
+        },
+        { name: 'Custom', status: 'error', ping: 'ERR', download: 'ERR', upload: 'ERR' },
+        { name: 'Untested', status: 'pending', ping: '--', download: '--', upload: '--' },
+    ],
+};
+
+describe('shared result links', () => {
+    test('round-trip the figures shown in the results table', async () => {
+        const payload = await encodeSharedRun(run);
+        assert.match(payload, /^[A-Za-z0-9_-]+$/);
+        const shared = await decodeSharedRun(payload);
+        assert.equal(shared.finishedAt, run.finishedAt);
+        assert.equal(shared.singleStream, true);
+        assert.deepEqual(shared.results, [
+            { name: 'Vercel', provider: 'Vercel', region: 'Global', status: 'complete', ping: 12.34, jitter: 1.3, lossPct: 10, download: 250.46, upload: 'Disabled', grade: 'A', colo: 'SYD', protocol: 'HTTP/2' },
+            { name: 'Custom', provider: null, region: null, status: 'error', ping: 'ERR', jitter: null, lossPct: null, download: 'ERR', upload: 'ERR', grade: null, colo: null, protocol: null },
+        ]);
+        assert.equal(summarizeSharedRun(shared), 'Fastest download 250.46 Mbps (Vercel), lowest ping 12.34 ms (Vercel), 2 servers tested');
+    });
+
+    test('reject a corrupted payload', async () => {
+        const payload = await encodeSharedRun(run);
+        const flipped = `${payload.slice(0, 10)}${payload[10] === 'A' ? 'B' : 'A'}${payload.slice(11)}`;
+        await assert.rejects(decodeSharedRun(payload.slice(0, payload.length / 2)), /damaged or incomplete|does not contain valid results/);
+        await assert.rejects(decodeSharedRun(flipped), /results link/);
+    });
+
+    test('reject rows whose fields have the wrong type or are out of range', async () => {
+        const row = ['Vercel', 'Vercel', 'Global', 'complete', 12.3, 1.2, 0, 250, 'Disabled', 'A', 'SYD', 'HTTP/2'];
+        const doc = (rows, t = run.finishedAt) => ({ v: 1, t, s: 0, r: rows });
+        assert.equal((await decodeSharedRun(await pack(doc([row])))).results[0].upload, 'Disabled');
+
+        const broken = [
+            ['ping', 4, -5],
+            ['ping', 4, '12'],
+            ['download', 7, 1e12],
+            ['upload', 8, '<script>'],
+            ['lossPct', 6, 250],
+            ['jitter', 5, 'high'],
+            ['provider', 1, { html: true }],
+            ['region', 2, 'x'.repeat(500)],
+            ['status', 3, 'hacked'],
+            ['grade', 9, 'Z'],
+            ['name', 0, ''],
+        ];
+        for (const [field, index, value] of broken) {
+            const bad = [...row];
+            bad[index] = value;
+            await assert.rejects(decodeSharedRun(await pack(doc([bad]))), /does not contain valid results/, field);
+        }
+        await assert.rejects(decodeSharedRun(await pack(doc([[...row, 'extra']]))), /does not contain valid results/);
+        for (const t of [-1, 1e20, '1700000000000', null]) {
+            await assert.rejects(decodeSharedRun(await pack(doc([row], t))), /does not contain valid results/, String(t));
+        }
+    });
+
+    test('reject malformed payloads before decompressing them', async () => {
+        for (const payload of ['', 'not/base64url!', 'A'.repeat(MAX_SHARE_PAYLOAD_LENGTH + 1), null]) {
+            await assert.rejects(decodeSharedRun(payload), /malformed/);
+        }
+    });
+});
@@ -0,0 +1,77 @@
+// Latency statistics (lib/stats.js): percentiles, jitter, packet loss and the bufferbloat
+// grade, including empty and single-sample inputs.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, jitter, summarizePings, gradeResponsiveness } from '../lib/stats.js';
+
+describe('percentile', () => {
+    test('is null for no samples and the sample itself for one', () => {
+        assert.equal(percentile([], 50), null);
+        assert.equal(percentile([7], 0), 7);
+        assert.equal(percentile([7], 95), 7);
+    });
+
+    test('interpolates linearly between ranks', () => {
+        const sorted = [10, 20, 30, 40];
+        assert.equal(percentile(sorted, 0), 10);
+        assert.equal(percentile(sorted, 50), 25);
+        assert.equal(percentile(sorted, 100), 40);
+        assert.ok(Math.abs(percentile(sorted, 95) - 38.5) < 1e-9);
+    });
+});
+
+describe('jitter', () => {
+    test('is 0 with fewer than two samples', () => {
+        assert.equal(jitter([]), 0);
+        assert.equal(jitter([12]), 0);
+    });
+
+    test('is the mean absolute difference between consecutive samples', () => {
+        assert.equal(jitter([10, 14, 12, 12]), 2);
+    });
+});
+
+describe('summarizePings', () => {
+    test('reports no loss and no figures when nothing was sent', () => {
+        assert.deepEqual(summarizePings([]), { sent: 0, received: 0, lossPct: 0, avg: null, min: null, median: null, p95: null, max: null, jitter: null, samples: [] });
+    });
+
+    test('reports 100% loss when every probe was lost', () => {
+        const stats = summarizePings([null, null]);
+        assert.equal(stats.lossPct, 100);
+        assert.equal(stats.received, 0);
+        assert.equal(stats.median, null);
+        assert.equal(stats.jitter, null);
+    });
+
+    test('uses the one sample for every figure', () => {
+        const stats = summarizePings([15]);
+        assert.deepEqual([stats.avg, stats.min, stats.median, stats.p95, stats.max, stats.jitter, stats.lossPct], [15, 15, 15, 15, 15, 0, 0]);
+    });
+
+    test('leaves lost probes out of everything but the loss rate', () => {
+        const stats = summarizePings([20, null, 10, 30, null]);
+        assert.equal(stats.sent, 5);
+        assert.equal(stats.received, 3);
+        assert.equal(stats.lossPct, 40);
+        assert.equal(stats.avg, 20);
+        assert.equal(stats.min, 10);
+        assert.equal(stats.median, 20);
+        assert.equal(stats.max, 30);
+        // Jitter follows the order the pings were received in: |10-20| and |30-10|
+        assert.equal(stats.jitter, 15);
+    });
+});
+
+describe('gradeResponsiveness', () => {
+    test('grades the worst loaded phase against the idle median', () => {
+        assert.deepEqual(gradeResponsiveness({ median: 20 }, [{ median: 24 }, { median: 60 }]), { grade: 'B', increaseMs: 40, rpm: 1000 });
+        assert.equal(gradeResponsiveness({ median: 20 }, [{ median: 18 }]).grade, 'A+');
+    });
+
+    test('is null without an idle baseline or any loaded measurement', () => {
+        assert.equal(gradeResponsiveness(null, [{ median: 30 }]), null);
+        assert.equal(gradeResponsiveness({ median: null }, [{ median: 30 }]), null);
+        assert.equal(gradeResponsiveness({ median: 20 }, [null, { median: null }]), null);
+    });
+});
@@ -0,0 +1,81 @@
+// Throughput meter (lib/throughput.js). The clock and the sampling interval are faked, so
+// every sample lands exactly on its interval and the rates below are exact.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createThroughputMeter } from '../lib/throughput.js';
+
+const INTERVAL_MS = 250;
+// Bytes per sampling interval for a given rate
+const bytesPerInterval = (mbps) => (mbps * 1000 * 1000 / 8) * (INTERVAL_MS / 1000);
+
+// Replaces performance.now() and setInterval for one test. step(bytes) reports `bytes`
+// to the meter and then moves time forward by one sampling interval.
+function fakeClock(t, meter) {
+    let now = 0;
+    const original = Object.getOwnPropertyDescriptor(globalThis, 'performance');
+    Object.defineProperty(globalThis, 'performance', { value: { now: () => now }, configurable: true, writable: true });
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    t.after(() => {
+        t.mock.timers.reset();
+        Object.defineProperty(globalThis, 'performance', original);
+    });
+    return {
+        step(bytes) {
+            meter.addBytes(bytes);
+            now += INTERVAL_MS;
+            t.mock.timers.tick(INTERVAL_MS);
+        },
+    };
+}
+
+// Feeds rateAt(t) (Mbps for the interval ending at t) until the meter finishes.
+async function runMeter(t, options, rateAt) {
+    const meter = createThroughputMeter({ sampleIntervalMs: INTERVAL_MS, ...options });
+    const clock = fakeClock(t, meter);
+    const done = meter.run();
+    for (let elapsed = INTERVAL_MS; !meter.finished && elapsed <= 60000; elapsed += INTERVAL_MS) {
+        clock.step(bytesPerInterval(rateAt(elapsed)));
+    }
+    return done;
+}
+
+test('discards the warm-up window from the reported rate', async (t) => {
+    // Slow start at 4 Mbps for the first 2 s, then a steady 40 Mbps
+    const result = await runMeter(t, {}, elapsed => (elapsed <= 2000 ? 4 : 40));
+    assert.equal(result.warmupMs, 2000);
+    assert.equal(result.mbps, 40);
+    assert.ok(result.samples.filter(s => s.warmup).every(s => s.mbps === 4));
+    assert.ok(result.samples.filter(s => !s.warmup).every(s => s.mbps === 40));
+});
+
+test('stops early on a stable rate, but not before the minimum duration', async (t) => {
+    const result = await runMeter(t, {}, () => 40);
+    assert.equal(result.stoppedBy, 'stable');
+    assert.equal(result.durationMs, 5000);
+});
+
+test('runs to the full duration while the rate keeps changing', async (t) => {
+    const result = await runMeter(t, { stableTolerance: 0 }, elapsed => (elapsed % 500 === 0 ? 40 : 80));
+    assert.equal(result.stoppedBy, 'duration');
+    assert.equal(result.durationMs, 10000);
+    assert.equal(result.mbps, 60);
+});
+
+test('stops once the data cap is reached', async (t) => {
+    const maxBytes = 10 * bytesPerInterval(40);
+    const result = await runMeter(t, { maxBytes }, () => 40);
+    assert.equal(result.stoppedBy, 'bytes');
+    assert.equal(result.bytes, maxBytes);
+});
+
+test('reports the whole transfer when the phase ends inside the warm-up window', async (t) => {
+    const meter = createThroughputMeter({ sampleIntervalMs: INTERVAL_MS });
+    const clock = fakeClock(t, meter);
+    const done = meter.run();
+    [1, 2, 3, 4].forEach(() => clock.step(bytesPerInterval(20)));
+    meter.complete();
+    const result = await done;
+    assert.equal(result.stoppedBy, 'complete');
+    assert.equal(result.mbps, 20);
+    assert.equal(result.warmupMs, 1000);
+});